@@ -0,0 +1,327 @@
+/**
+ * BulletCausalBuffer
+ * Holds network updates that arrive before the updates they depend on and
+ * applies them once their causal dependencies have been applied
+ */
+class BulletCausalBuffer {
+  /**
+   * Create a new causal delivery buffer
+   * @param {Object} bullet - The Bullet instance
+   * @param {Object} network - The BulletNetwork instance
+   * @param {Object} options - Configuration options
+   */
+  constructor(bullet, network, options = {}) {
+    this.bullet = bullet;
+    this.network = network;
+    this.options = {
+      maxSize: 1000, // Updates held before the oldest is applied anyway
+      maxWait: 30 * 1000, // Time an update may wait before it is applied anyway
+      ...options,
+    };
+
+    // Waiting updates, oldest first
+    this.pending = new Set();
+    // Waiting updates by the write they wait for: node -> count -> entries
+    this.waiting = new Map();
+    // Updates whose awaited write has been applied, to check again
+    this.ready = [];
+    // Causal clock as of the last check for released updates
+    this.released = {};
+    this.timeoutId = null;
+
+    this.stats = {
+      received: 0,
+      delivered: 0,
+      buffered: 0,
+      forced: 0,
+      maxBuffered: 0,
+      totalWait: 0,
+      maxWait: 0,
+    };
+  }
+
+  /**
+   * Accept a put, transaction or batch message, applying it now if its
+   * dependencies are met
+   * @param {string} peerId - ID of the peer it came from
+   * @param {Object} message - Put, transaction or batch message
+   * @public
+   */
+  receive(peerId, message) {
+    this.stats.received++;
+    const entry = { peerId, message, receivedAt: Date.now() };
+
+    if (!this._wait(entry)) {
+      this._deliver(entry);
+      // It may be the dependency some buffered updates wait for
+      this.drain();
+      return;
+    }
+
+    this.stats.buffered++;
+    this.stats.maxBuffered = Math.max(
+      this.stats.maxBuffered,
+      this.pending.size
+    );
+
+    // Apply the oldest updates anyway rather than grow without bound
+    while (this.pending.size > this.options.maxSize) {
+      this._force(this._oldest(), "size");
+      this.drain();
+    }
+
+    this._schedule();
+  }
+
+  /**
+   * Apply every buffered update whose dependencies are now met, repeating
+   * until nothing more becomes ready. Only updates waiting for a write that
+   * has been applied since the last check are looked at
+   * @return {number} - Number of updates applied
+   * @public
+   */
+  drain() {
+    let applied = 0;
+
+    this._release();
+    while (this.ready.length > 0) {
+      const entry = this.ready.shift();
+      if (!this.pending.has(entry) || this._wait(entry)) continue;
+
+      this._deliver(entry);
+      applied++;
+      this._release();
+    }
+
+    if (applied > 0) this._schedule();
+    return applied;
+  }
+
+  /**
+   * Get buffer statistics for monitoring
+   * @return {Object} - Buffer statistics
+   * @public
+   */
+  getStats() {
+    const now = Date.now();
+    const waited = this.stats.delivered + this.stats.forced;
+
+    const oldest = this._oldest();
+
+    return {
+      ...this.stats,
+      pending: this.pending.size,
+      oldestWait: oldest ? now - oldest.receivedAt : 0,
+      averageWait: waited > 0 ? this.stats.totalWait / waited : 0,
+    };
+  }
+
+  /**
+   * Buffer an update if a write it depends on has not been applied, indexed
+   * by that write. Updates from peers that send no causal clock never wait
+   * @param {Object} entry - { peerId, message, receivedAt }
+   * @return {boolean} - Whether it waits
+   * @private
+   */
+  _wait(entry) {
+    const { origin, causalClock } = entry.message;
+    const missing =
+      this.bullet.crt && origin && causalClock
+        ? this.bullet.crt.missingDependency(origin, causalClock)
+        : null;
+    if (!missing) return false;
+
+    if (!this.waiting.has(missing.node)) {
+      this.waiting.set(missing.node, new Map());
+    }
+    const counts = this.waiting.get(missing.node);
+    if (!counts.has(missing.count)) counts.set(missing.count, []);
+    counts.get(missing.count).push(entry);
+
+    entry.missing = missing;
+    this.pending.add(entry);
+    return true;
+  }
+
+  /**
+   * Remove an update from the buffer and its index
+   * @param {Object} entry - Buffered entry
+   * @private
+   */
+  _unwait(entry) {
+    this.pending.delete(entry);
+    if (!entry.missing) return;
+
+    const { node, count } = entry.missing;
+    const counts = this.waiting.get(node);
+    const entries = counts && counts.get(count);
+    if (entries) {
+      entries.splice(entries.indexOf(entry), 1);
+      if (entries.length === 0) counts.delete(count);
+      if (counts.size === 0) this.waiting.delete(node);
+    }
+    entry.missing = null;
+  }
+
+  /**
+   * Queue the updates waiting for writes that have been applied since the
+   * last check. A clock entry usually moves by one, so the counts it moved
+   * past are looked up directly unless fewer updates wait on the node
+   * @private
+   */
+  _release() {
+    const clock = this.bullet.crt ? this.bullet.crt.causalClock : {};
+
+    for (const [node, value] of Object.entries(clock)) {
+      const previous = this.released[node] || 0;
+      const counts = this.waiting.get(node);
+      if (value <= previous || !counts) continue;
+
+      const released =
+        value - previous <= counts.size
+          ? Array.from({ length: value - previous }, (_, i) => previous + i + 1)
+          : [...counts.keys()].filter((count) => count <= value);
+
+      for (const count of released) {
+        const entries = counts.get(count);
+        if (!entries) continue;
+
+        counts.delete(count);
+        for (const entry of entries) {
+          entry.missing = null;
+          this.ready.push(entry);
+        }
+      }
+      if (counts.size === 0) this.waiting.delete(node);
+    }
+
+    this.released = { ...clock };
+  }
+
+  /**
+   * Get the update that has waited longest
+   * @return {Object|undefined} - Buffered entry
+   * @private
+   */
+  _oldest() {
+    return this.pending.values().next().value;
+  }
+
+  /**
+   * Apply a buffered update and record how long it waited
+   * @param {Object} entry - Buffered entry
+   * @param {boolean} [forced=false] - Whether its dependencies are missing
+   * @private
+   */
+  _deliver(entry, forced = false) {
+    this._unwait(entry);
+
+    const wait = Date.now() - entry.receivedAt;
+    this.stats[forced ? "forced" : "delivered"]++;
+    this.stats.totalWait += wait;
+    this.stats.maxWait = Math.max(this.stats.maxWait, wait);
+
+    if (entry.message.ops) {
+      this.network._applyBatch(entry.peerId, entry.message);
+    } else {
+      this.network._applyPut(entry.peerId, entry.message);
+    }
+  }
+
+  /**
+   * Apply an update whose dependencies never arrived. Conflict resolution
+   * still orders it correctly against what we have, and a sync with the
+   * sender fills the gap
+   * @param {Object} entry - Buffered entry
+   * @param {string} reason - "size" or "timeout"
+   * @private
+   */
+  _force(entry, reason) {
+    const wait = Date.now() - entry.receivedAt;
+    this._deliver(entry, true);
+
+    console.warn(
+      `Applying update to ${this._describe(entry.message)} out of causal order after ${wait}ms (${reason})`
+    );
+
+    if (this.bullet.middleware) {
+      this.bullet.middleware.emitEvent("causal:forced", {
+        path: this._describe(entry.message),
+        peerId: entry.peerId,
+        wait,
+        reason,
+      });
+    }
+
+    this.network.requestSync(entry.peerId);
+  }
+
+  /**
+   * Describe the paths a message writes
+   * @param {Object} message - Put, transaction or batch message
+   * @return {string} - Path, or comma separated paths of a multi-path
+   *   message
+   * @private
+   */
+  _describe(message) {
+    return message.ops
+      ? [...new Set(message.ops.map((op) => op.path))].join(", ")
+      : message.path;
+  }
+
+  /**
+   * Arm a timer for the oldest waiting update
+   * @private
+   */
+  _schedule() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    const oldest = this._oldest();
+    if (!oldest) return;
+
+    const delay = Math.max(
+      0,
+      oldest.receivedAt + this.options.maxWait - Date.now()
+    );
+
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
+      this._expire();
+    }, delay);
+  }
+
+  /**
+   * Apply every update that has waited longer than maxWait
+   * @private
+   */
+  _expire() {
+    const cutoff = Date.now() - this.options.maxWait;
+
+    let oldest = this._oldest();
+    while (oldest && oldest.receivedAt <= cutoff) {
+      this._force(oldest, "timeout");
+      this.drain();
+      oldest = this._oldest();
+    }
+
+    this._schedule();
+  }
+
+  /**
+   * Stop the timer and drop waiting updates
+   * @public
+   */
+  close() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this.pending.clear();
+    this.waiting.clear();
+    this.ready = [];
+  }
+}
+
+module.exports = BulletCausalBuffer;
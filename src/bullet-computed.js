@@ -0,0 +1,273 @@
+/**
+ * BulletComputed - Read-only nodes derived from other nodes
+ * A computed node's value comes from a function of its dependencies. It is
+ * kept out of the store, so it is neither persisted nor broadcast unless
+ * asked. A change to a dependency marks the node stale and schedules a
+ * recompute; reading a stale node recomputes it at once, so reads are
+ * never out of date while listeners are notified once per burst of changes
+ */
+class BulletComputed {
+  /**
+   * Create a new computed node registry
+   * @param {Object} bullet - The Bullet instance
+   */
+  constructor(bullet) {
+    this.bullet = bullet;
+
+    // Computed nodes by path
+    this.nodes = new Map();
+  }
+
+  /**
+   * Define a computed node, replacing any defined at the same path
+   * @param {string} path - Path of the computed node
+   * @param {Array<string>} dependencies - Paths the value is computed from.
+   *   A write to a dependency, below it or above it triggers a recompute
+   * @param {Function} fn - Function(...values) returning the value, called
+   *   with the value of each dependency
+   * @param {Object} [options] - Options
+   * @param {number} [options.debounce=0] - Milliseconds to wait for more
+   *   changes before recomputing and notifying listeners
+   * @param {boolean} [options.persist=false] - Also write the value to the
+   *   store, so storage persists it
+   * @param {boolean} [options.broadcast=false] - Also write the value to the
+   *   store and send it to peers
+   * @public
+   */
+  define(path, dependencies, fn, options = {}) {
+    path = this._normalize(path);
+    if (typeof fn !== "function") {
+      throw new Error(`Computed node ${path} needs a function`);
+    }
+
+    this.remove(path);
+
+    const node = {
+      path,
+      dependencies: dependencies.map((dependency) =>
+        this._normalize(dependency)
+      ),
+      fn,
+      options: {
+        debounce: 0,
+        persist: false,
+        broadcast: false,
+        ...options,
+      },
+      value: undefined,
+      published: undefined,
+      dirty: true,
+      computing: false,
+      timeoutId: null,
+    };
+
+    this.nodes.set(path, node);
+    node.published = this._refresh(node);
+    this._store(node);
+  }
+
+  /**
+   * Remove a computed node. A value it wrote to the store stays there
+   * @param {string} path - Path of the computed node
+   * @public
+   */
+  remove(path) {
+    path = this._normalize(path);
+    const node = this.nodes.get(path);
+    if (!node) return;
+
+    if (node.timeoutId) clearTimeout(node.timeoutId);
+    this.nodes.delete(path);
+  }
+
+  /**
+   * Mark stale every computed node with a dependency at, above or below a
+   * changed path. Paths are compared, not values, so a removal or an
+   * overwrite reaches dependencies the old value no longer shows
+   * @param {Map<string, Object>} notifications - Changed paths
+   * @public
+   */
+  dispatch(notifications) {
+    if (this.nodes.size === 0) return;
+
+    const paths = [...notifications.keys()];
+    for (const node of this.nodes.values()) {
+      const affected = node.dependencies.some((dependency) =>
+        paths.some((path) => this._related(dependency, path))
+      );
+      if (affected) this._invalidate(node);
+    }
+  }
+
+  /**
+   * Find the computed node a path is at or below
+   * @param {string} path - Path to check
+   * @return {Object|null} - { node, keys } where keys lead from the computed
+   *   node to the path, or null if the path is not computed
+   * @public
+   */
+  find(path) {
+    if (this.nodes.size === 0) return null;
+
+    const parts = this._normalize(path).split("/").filter(Boolean);
+    for (let i = parts.length; i > 0; i--) {
+      const node = this.nodes.get(parts.slice(0, i).join("/"));
+      if (node) return { node, keys: parts.slice(i) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the value of a computed node or of a path inside it
+   * @param {Object} match - Result of find()
+   * @return {*} - Value, or undefined if there is none
+   * @public
+   */
+  read({ node, keys }) {
+    let value = this._refresh(node);
+
+    for (const key of keys) {
+      if (typeof value !== "object" || value === null) return undefined;
+      value = value[key];
+    }
+
+    return value;
+  }
+
+  /**
+   * Stop every pending recompute
+   * @public
+   */
+  close() {
+    for (const node of this.nodes.values()) {
+      if (node.timeoutId) {
+        clearTimeout(node.timeoutId);
+        node.timeoutId = null;
+      }
+    }
+  }
+
+  /**
+   * Mark a computed node stale and schedule its recompute
+   * @param {Object} node - Computed node
+   * @private
+   */
+  _invalidate(node) {
+    node.dirty = true;
+
+    if (node.timeoutId) clearTimeout(node.timeoutId);
+    node.timeoutId = setTimeout(() => {
+      node.timeoutId = null;
+      this._publish(node);
+    }, node.options.debounce);
+  }
+
+  /**
+   * Recompute a stale node
+   * @param {Object} node - Computed node
+   * @return {*} - Current value
+   * @private
+   */
+  _refresh(node) {
+    // A node depending on itself sees its previous value
+    if (!node.dirty || node.computing) return node.value;
+
+    node.computing = true;
+    try {
+      const values = node.dependencies.map((dependency) =>
+        this.bullet.get(dependency).value()
+      );
+      node.value = node.fn(...values);
+      node.dirty = false;
+    } catch (error) {
+      // Keep the previous value until a later change computes a new one
+      console.error(`Error computing ${node.path}:`, error);
+      if (this.bullet.middleware) {
+        this.bullet.middleware.emitEvent("error", {
+          operation: "compute",
+          path: node.path,
+          error,
+        });
+      }
+      node.dirty = false;
+    } finally {
+      node.computing = false;
+    }
+
+    return node.value;
+  }
+
+  /**
+   * Recompute a node and notify its listeners if the value changed
+   * @param {Object} node - Computed node
+   * @private
+   */
+  _publish(node) {
+    const oldValue = node.published;
+    const value = this._refresh(node);
+
+    if (JSON.stringify(oldValue) === JSON.stringify(value)) return;
+    node.published = value;
+
+    if (this._store(node)) return;
+
+    const data = value === undefined ? null : value;
+    this.bullet._notify(node.path, data, undefined, {
+      oldValue,
+      origin: "compute",
+      peerId: this.bullet.id,
+      vectorClock: null,
+    });
+  }
+
+  /**
+   * Write the value to the store if the node asks for it. The write
+   * notifies listeners itself
+   * @param {Object} node - Computed node
+   * @return {boolean} - Whether the value was written
+   * @private
+   */
+  _store(node) {
+    const { persist, broadcast } = node.options;
+    if (!persist && !broadcast) return false;
+
+    const value = node.published === undefined ? null : node.published;
+    const stored = this.bullet.crt
+      ? this.bullet.crt._lookup(node.path)
+      : undefined;
+    if (
+      JSON.stringify(stored === undefined ? null : stored) ===
+      JSON.stringify(value)
+    ) {
+      return true;
+    }
+
+    this.bullet.setData(node.path, value, broadcast);
+    return true;
+  }
+
+  /**
+   * Check whether one path is the other, or an ancestor of it
+   * @param {string} a - Normalized path
+   * @param {string} b - Normalized path
+   * @return {boolean} - Whether a write to one can change the other
+   * @private
+   */
+  _related(a, b) {
+    if (a === b || a === "" || b === "") return true;
+    return b.startsWith(`${a}/`) || a.startsWith(`${b}/`);
+  }
+
+  /**
+   * Remove empty segments from a path
+   * @param {string} path - Data path
+   * @return {string} - Normalized path
+   * @private
+   */
+  _normalize(path) {
+    return path.split("/").filter(Boolean).join("/");
+  }
+}
+
+module.exports = BulletComputed;
@@ -0,0 +1,435 @@
+// Owner of the entries a plain value is seeded with when it becomes a CRDT.
+// Every peer converting the same value seeds the same entries, so
+// concurrent conversions merge instead of adding up
+const BASE_PEER = "~base";
+
+/**
+ * BulletCRDT - Conflict-free replicated data types
+ * Keeps CRDT state in node metadata and the plain value it materializes
+ * in the store, so reads, queries and exports see ordinary data
+ */
+class BulletCRDT {
+  /**
+   * Create a new CRDT registry
+   * @param {Object} bullet - The Bullet instance
+   */
+  constructor(bullet) {
+    this.bullet = bullet;
+    this.types = new Map();
+
+    this._registerDefaultTypes();
+  }
+
+  /**
+   * Register the built-in CRDT types
+   * @private
+   */
+  _registerDefaultTypes() {
+    // PN-Counter: per-peer positive and negative tallies. A plain number
+    // already at the path becomes a shared starting tally
+    this.registerType("counter", {
+      create: (value) => {
+        const start = typeof value === "number" ? value : 0;
+        return {
+          p: start > 0 ? { [BASE_PEER]: start } : {},
+          n: start < 0 ? { [BASE_PEER]: -start } : {},
+        };
+      },
+      merge: (incoming, current) => ({
+        p: this._mergeTallies(incoming.p, current.p),
+        n: this._mergeTallies(incoming.n, current.n),
+      }),
+      value: (state) =>
+        this._sumTallies(state.p) - this._sumTallies(state.n),
+    });
+
+    // OR-Set: every add gets a unique tag, removes tombstone the tags they
+    // observed, so an add concurrent with a remove survives
+    this.registerType("set", {
+      create: (value) => {
+        const state = { adds: {}, removed: {} };
+        if (Array.isArray(value)) {
+          for (const item of value) {
+            state.adds[this.createTag(state, BASE_PEER)] = item;
+          }
+        }
+        return state;
+      },
+      merge: (incoming, current) => {
+        const removed = { ...current.removed, ...incoming.removed };
+        const adds = {};
+        for (const [tag, item] of Object.entries({
+          ...current.adds,
+          ...incoming.adds,
+        })) {
+          if (!removed[tag]) adds[tag] = item;
+        }
+        return { adds, removed };
+      },
+      // Sorted so every peer materializes the same array
+      value: (state) => {
+        const items = new Map();
+        for (const item of Object.values(state.adds)) {
+          items.set(JSON.stringify(item), item);
+        }
+        return [...items.keys()].sort().map((key) => items.get(key));
+      },
+    });
+
+    // RGA list: every element remembers the element it was inserted after,
+    // so concurrent inserts all keep their place
+    this.registerType("list", {
+      ...this._sequenceHandlers(),
+      value: (state) =>
+        this.listOrder(state).map((id) => state.items[id].value),
+    });
+
+    // Text is an RGA list of characters
+    this.registerType("text", {
+      ...this._sequenceHandlers(),
+      create: (value) =>
+        this._sequenceHandlers().create(
+          typeof value === "string" ? [...value] : []
+        ),
+      value: (state) =>
+        this.listOrder(state)
+          .map((id) => state.items[id].value)
+          .join(""),
+      diff: (previous, next) => this._textDelta(previous, next),
+    });
+  }
+
+  /**
+   * Handlers shared by the RGA based types
+   * @return {Object} - create, merge and delta handlers
+   * @private
+   */
+  _sequenceHandlers() {
+    return {
+      create: (value) => {
+        const state = { items: {} };
+        let after = null;
+        if (Array.isArray(value)) {
+          for (const item of value) {
+            const id = this.createElementId(state, BASE_PEER);
+            state.items[id] = { value: item, after };
+            after = id;
+          }
+        }
+        return state;
+      },
+      merge: (incoming, current) => {
+        const items = { ...current.items };
+        for (const [id, element] of Object.entries(incoming.items)) {
+          // Removal wins, elements are never revived
+          items[id] =
+            items[id] && items[id].deleted ? items[id] : { ...element };
+        }
+        return { items };
+      },
+      // Only new and removed elements need to travel
+      delta: (previous, next) => {
+        const items = {};
+        for (const [id, element] of Object.entries(next.items)) {
+          const before = previous.items[id];
+          if (!before || before.deleted !== element.deleted) {
+            items[id] = element;
+          }
+        }
+        return { items };
+      },
+    };
+  }
+
+  /**
+   * Register a CRDT type
+   * @param {string} name - Type name
+   * @param {Object} handlers - Type handlers
+   * @param {Function} handlers.create - Create a state from the plain value
+   *   currently stored at the path (if any) and the local peer ID
+   * @param {Function} handlers.merge - Merge two states (must be commutative,
+   *   associative and idempotent)
+   * @param {Function} handlers.value - Materialize a state into a plain value
+   * @param {Function} [handlers.delta] - Extract the part of a new state that
+   *   peers holding the previous state are missing; without it local
+   *   operations broadcast the full state
+   * @param {Function} [handlers.diff] - Describe the change between two
+   *   states for subscribers
+   * @return {BulletCRDT} - This instance for chaining
+   * @public
+   */
+  registerType(name, handlers) {
+    for (const handler of ["create", "merge", "value"]) {
+      if (typeof handlers[handler] !== "function") {
+        throw new Error(`CRDT type '${name}' must define ${handler}()`);
+      }
+    }
+
+    this.types.set(name, handlers);
+    return this;
+  }
+
+  /**
+   * Get a copy of the CRDT state stored at a path
+   * @param {string} path - Data path
+   * @param {string} [type] - Only return state of this type
+   * @return {Object|null} - CRDT state, or null if none
+   * @public
+   */
+  getState(path, type = null) {
+    const meta = this.bullet.meta[path];
+    if (!meta || !meta.crdt || meta.deleted) return null;
+    if (type && meta.crdt.type !== type) return null;
+    return JSON.parse(JSON.stringify(meta.crdt));
+  }
+
+  /**
+   * Apply a local operation to the CRDT at a path
+   * @param {string} path - Data path
+   * @param {string} type - CRDT type name
+   * @param {Function} operation - Function(state, peerId) mutating the state
+   * @return {Promise<Object>} - Resolves like a put with the materialized
+   *   value after the operation. Rejected if that value fails validation or
+   *   the write is cancelled by middleware
+   * @public
+   */
+  update(path, type, operation) {
+    const handlers = this._getType(type);
+    const previous = this.getState(path, type);
+    const state = previous
+      ? JSON.parse(JSON.stringify(previous))
+      : {
+          type,
+          ...handlers.create(this.bullet.crt._lookup(path), this.bullet.id),
+        };
+
+    operation(state, this.bullet.id);
+
+    const update = { __crdt: state };
+    if (previous && handlers.delta) {
+      update.__crdtDelta = { type, ...handlers.delta(previous, state) };
+    }
+
+    return this.bullet._write(path, update);
+  }
+
+  /**
+   * Describe the change between two states of the same type for
+   * subscribers
+   * @param {Object|null} previous - Previous state
+   * @param {Object} next - New state
+   * @return {Object|null} - Change description, or null if the type has none
+   * @public
+   */
+  diff(previous, next) {
+    const handlers = this._getType(next.type);
+    if (!handlers.diff) return null;
+
+    const empty = { type: next.type, ...handlers.create(undefined, "") };
+    return handlers.diff(
+      previous && previous.type === next.type ? previous : empty,
+      next
+    );
+  }
+
+  /**
+   * Create a tag that is unique to this peer within a state
+   * @param {Object} state - CRDT state holding tagged entries
+   * @param {string} peerId - Local peer ID
+   * @return {string} - New tag
+   * @public
+   */
+  createTag(state, peerId) {
+    let sequence = 0;
+    for (const tag of [
+      ...Object.keys(state.adds || {}),
+      ...Object.keys(state.removed || {}),
+    ]) {
+      const separator = tag.lastIndexOf(":");
+      if (tag.slice(0, separator) === peerId) {
+        sequence = Math.max(sequence, Number(tag.slice(separator + 1)));
+      }
+    }
+    return `${peerId}:${sequence + 1}`;
+  }
+
+  /**
+   * Create a list element ID that sorts after every element already in
+   * the list, Lamport style
+   * @param {Object} state - List state
+   * @param {string} peerId - Local peer ID
+   * @return {string} - New element ID
+   * @public
+   */
+  createElementId(state, peerId) {
+    let counter = 0;
+    for (const id of Object.keys(state.items)) {
+      counter = Math.max(counter, this._parseElementId(id).counter);
+    }
+    return `${counter + 1}@${peerId}`;
+  }
+
+  /**
+   * Get the element IDs of a list in document order
+   * @param {Object} state - List state
+   * @param {boolean} [includeDeleted=false] - Include removed elements
+   * @return {Array<string>} - Ordered element IDs
+   * @public
+   */
+  listOrder(state, includeDeleted = false) {
+    const children = new Map();
+    for (const [id, element] of Object.entries(state.items)) {
+      const parent = element.after || "";
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(id);
+    }
+
+    // Later inserts after the same element come first, ties broken by peer
+    for (const siblings of children.values()) {
+      siblings.sort((a, b) => this._compareElementIds(b, a));
+    }
+
+    const order = [];
+    const stack = [...(children.get("") || [])].reverse();
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (includeDeleted || !state.items[id].deleted) order.push(id);
+      stack.push(...[...(children.get(id) || [])].reverse());
+    }
+    return order;
+  }
+
+  /**
+   * Build a text delta of retain, insert and delete operations. Element
+   * order never changes, so walking every element once is enough
+   * @param {Object} previous - Previous text state
+   * @param {Object} next - New text state
+   * @return {Array<Object>} - Delta operations
+   * @private
+   */
+  _textDelta(previous, next) {
+    const delta = [];
+    const push = (op, value) => {
+      const last = delta[delta.length - 1];
+      if (last && op in last) {
+        last[op] += value;
+      } else {
+        delta.push({ [op]: value });
+      }
+    };
+
+    for (const id of this.listOrder(next, true)) {
+      const before = previous.items[id] && !previous.items[id].deleted;
+      const after = !next.items[id].deleted;
+
+      if (before && after) push("retain", 1);
+      else if (after) push("insert", next.items[id].value);
+      else if (before) push("delete", 1);
+    }
+
+    // A trailing retain carries no information
+    if (delta.length > 0 && "retain" in delta[delta.length - 1]) {
+      delta.pop();
+    }
+    return delta;
+  }
+
+  /**
+   * Split a list element ID into its counter and peer
+   * @param {string} id - Element ID
+   * @return {Object} - { counter, peerId }
+   * @private
+   */
+  _parseElementId(id) {
+    const separator = id.indexOf("@");
+    return {
+      counter: Number(id.slice(0, separator)),
+      peerId: id.slice(separator + 1),
+    };
+  }
+
+  /**
+   * Order two list element IDs by counter, then by peer
+   * @param {string} a - First element ID
+   * @param {string} b - Second element ID
+   * @return {number} - Negative, zero or positive
+   * @private
+   */
+  _compareElementIds(a, b) {
+    const first = this._parseElementId(a);
+    const second = this._parseElementId(b);
+    if (first.counter !== second.counter) {
+      return first.counter - second.counter;
+    }
+    if (first.peerId === second.peerId) return 0;
+    return first.peerId < second.peerId ? -1 : 1;
+  }
+
+  /**
+   * Merge an incoming CRDT state into the current one
+   * @param {Object} incoming - Incoming state
+   * @param {Object|null} current - Current state
+   * @return {Object} - Merged state
+   * @public
+   */
+  merge(incoming, current) {
+    // A CRDT replaces a plain value or a CRDT of another type outright
+    if (!current || current.type !== incoming.type) {
+      return JSON.parse(JSON.stringify(incoming));
+    }
+
+    const handlers = this._getType(incoming.type);
+    return { type: incoming.type, ...handlers.merge(incoming, current) };
+  }
+
+  /**
+   * Materialize a CRDT state into its plain value
+   * @param {Object} state - CRDT state
+   * @return {*} - Plain value
+   * @public
+   */
+  value(state) {
+    return this._getType(state.type).value(state);
+  }
+
+  /**
+   * Look up a registered type
+   * @param {string} type - Type name
+   * @return {Object} - Type handlers
+   * @private
+   */
+  _getType(type) {
+    const handlers = this.types.get(type);
+    if (!handlers) {
+      throw new Error(`Unknown CRDT type: ${type}`);
+    }
+    return handlers;
+  }
+
+  /**
+   * Merge per-peer tallies by taking the maximum for each peer
+   * @param {Object} a - First tallies
+   * @param {Object} b - Second tallies
+   * @return {Object} - Merged tallies
+   * @private
+   */
+  _mergeTallies(a = {}, b = {}) {
+    const result = { ...b };
+    for (const [peerId, count] of Object.entries(a)) {
+      result[peerId] = Math.max(result[peerId] || 0, count);
+    }
+    return result;
+  }
+
+  /**
+   * Sum per-peer tallies
+   * @param {Object} tallies - Tallies
+   * @return {number} - Sum
+   * @private
+   */
+  _sumTallies(tallies = {}) {
+    return Object.values(tallies).reduce((sum, count) => sum + count, 0);
+  }
+}
+
+module.exports = BulletCRDT;
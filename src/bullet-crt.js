@@ -1,3 +1,6 @@
+// Clock entry that summarizes the entries of retired peers
+const RETIRED_KEY = "*";
+
 class BulletCRT {
   /**
    * Create a new conflict resolver with vector clock support
@@ -7,12 +10,229 @@ class BulletCRT {
     this.bullet = bullet;
     this.vectorClocks = new Map();
 
+    // Hybrid logical clock, used to order writes that vector clocks
+    // consider concurrent
+    this.useHLC = bullet.options.enableHLC !== false;
+    this.hlc = { wallTime: 0, logical: 0 };
+
+    // Paths whose meta currently holds a tombstone (rebuilt from loaded
+    // meta), also kept in a tree of path segments to find them by prefix
+    this.tombstones = new Set();
+    this.tombstoneIndex = { path: "", tombstone: false, children: new Map() };
+    for (const [path, meta] of Object.entries(this.bullet.meta)) {
+      if (meta.deleted) this._indexTombstone(path);
+    }
+
     // Default comparison function
     this.compare = (incoming, existing) => {
       if (incoming === existing) return 0;
       if (incoming < existing) return -1;
       return 1;
     };
+
+    // Per-path merge strategies for concurrent writes, first match wins
+    this.strategies = [];
+    this.builtinStrategies = {
+      lww: (incoming, current, context) => {
+        const comparison =
+          context.incomingHLC && context.currentHLC
+            ? this.compareHLC(context.incomingHLC, context.currentHLC)
+            : this.compare(incoming, current);
+        return comparison >= 0 ? incoming : current;
+      },
+      union: (incoming, current, context) => {
+        if (!Array.isArray(incoming) || !Array.isArray(current)) {
+          return this.builtinStrategies.lww(incoming, current, context);
+        }
+        // Sorted so both peers end up with the same order
+        const items = new Map();
+        for (const item of [...current, ...incoming]) {
+          items.set(JSON.stringify(item), item);
+        }
+        return [...items.keys()].sort().map((key) => items.get(key));
+      },
+      max: (incoming, current) =>
+        this.compare(incoming, current) >= 0 ? incoming : current,
+      min: (incoming, current) =>
+        this.compare(incoming, current) <= 0 ? incoming : current,
+      // Shows the latest write but keeps every version until
+      // resolveConflict() is called
+      manual: (incoming, current, context) =>
+        this.builtinStrategies.lww(incoming, current, context),
+    };
+
+    // Recent concurrent conflicts, oldest first
+    this.conflictLog = [];
+
+    // Peers whose clock entries are folded into RETIRED_KEY, and when we
+    // last heard of every other writer
+    this.retiredPeers = new Set();
+    this.peerActivity = new Map();
+
+    // Writes applied here from each peer, counted across all paths. Sent
+    // with each broadcast so receivers can tell what the write depends on
+    this.causalClock = {};
+  }
+
+  /**
+   * Register a merge strategy for concurrent writes to matching paths.
+   * Patterns use "/" separated segments where "*" matches one segment and
+   * "**" any number of them.
+   * @param {string} pattern - Path pattern, e.g. "carts/*"
+   * @param {Function|string} strategy - Merge function(incoming, current, context)
+   *   or one of "lww", "union", "max", "min", "manual"
+   * @returns {BulletCRT} This instance for chaining
+   */
+  strategy(pattern, strategy) {
+    let name;
+    let merge;
+
+    if (typeof strategy === "string") {
+      if (!this.builtinStrategies[strategy]) {
+        throw new Error(`Unknown merge strategy: ${strategy}`);
+      }
+      name = strategy;
+      merge = this.builtinStrategies[strategy];
+    } else if (typeof strategy === "function") {
+      name = strategy.name || "custom";
+      merge = strategy;
+    } else {
+      throw new Error("Merge strategy must be a function or a strategy name");
+    }
+
+    const entry = { pattern, regex: this._compilePattern(pattern), name, merge };
+    const index = this.strategies.findIndex((s) => s.pattern === pattern);
+
+    if (index >= 0) {
+      this.strategies[index] = entry;
+    } else {
+      this.strategies.push(entry);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove the merge strategy registered for a pattern
+   * @param {string} pattern - Path pattern
+   * @returns {BulletCRT} This instance for chaining
+   */
+  removeStrategy(pattern) {
+    this.strategies = this.strategies.filter((s) => s.pattern !== pattern);
+    return this;
+  }
+
+  /**
+   * Find the merge strategy for a path
+   * @param {string} path - Data path
+   * @returns {Object|null} Registered strategy ({ pattern, name, merge })
+   */
+  getStrategy(path) {
+    if (!path || this.strategies.length === 0) return null;
+    return this.strategies.find((s) => s.regex.test(path)) || null;
+  }
+
+  /**
+   * Get recorded conflicts for a path and its descendants
+   * @param {string} [path] - Path to filter by (all conflicts if omitted)
+   * @returns {Array<Object>} Conflict records, oldest first
+   */
+  getConflicts(path = "") {
+    if (!path) return [...this.conflictLog];
+
+    const prefix = path + "/";
+    return this.conflictLog.filter(
+      (conflict) => conflict.path === path || conflict.path.startsWith(prefix)
+    );
+  }
+
+  /**
+   * Get every path still holding sibling versions from a manual conflict
+   * @returns {Array<Object>} Pending conflicts ({ path, siblings })
+   */
+  getPendingConflicts() {
+    return Object.entries(this.bullet.meta)
+      .filter(([, meta]) => meta.siblings)
+      .map(([path, meta]) => ({ path, siblings: meta.siblings }));
+  }
+
+  /**
+   * Record a concurrent conflict, keeping sibling versions for paths under
+   * the manual strategy
+   * @param {string} key - Path of the conflict
+   * @param {Object} decision - Resolution decision
+   * @param {Object} sides - Incoming and current { value, vectorClock, hlc }
+   * @private
+   */
+  _recordConflict(key, decision, sides) {
+    const { incoming, current } = sides;
+
+    // A field first seen concurrently, or the same value written on both
+    // sides, is not a conflict
+    if (
+      current.value === undefined ||
+      JSON.stringify(incoming.value) === JSON.stringify(current.value)
+    ) {
+      return;
+    }
+
+    const manual = decision.strategy === "manual";
+    const conflict = {
+      path: key,
+      incoming,
+      current,
+      merged: decision.value,
+      vectorClock: decision.vectorClock,
+      reason: decision.reason,
+      strategy: decision.strategy || null,
+      manual,
+      timestamp: Date.now(),
+    };
+
+    this.conflictLog.push(conflict);
+    const limit = this.bullet.options.conflictLogSize;
+    if (this.conflictLog.length > limit) {
+      this.conflictLog.splice(0, this.conflictLog.length - limit);
+    }
+
+    if (manual) {
+      const meta = this.bullet.meta[key] || {};
+      const siblings = meta.siblings || [current];
+      const seen = new Set(siblings.map((sibling) => JSON.stringify(sibling)));
+
+      if (!seen.has(JSON.stringify(incoming))) {
+        siblings.push(incoming);
+      }
+
+      this.bullet.meta[key] = { ...meta, siblings };
+      this.bullet._touchMeta();
+      conflict.siblings = siblings;
+    }
+
+    if (this.bullet.middleware) {
+      this.bullet.middleware.emitEvent("conflict", conflict);
+    }
+  }
+
+  /**
+   * Compile a path pattern into a regular expression
+   * @param {string} pattern - Path pattern
+   * @returns {RegExp} Compiled pattern
+   * @private
+   */
+  _compilePattern(pattern) {
+    const source = pattern
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => {
+        if (segment === "**") return ".*";
+        if (segment === "*") return "[^/]+";
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("/")
+      .replace(/\/\.\*/g, "(?:/.*)?");
+
+    return new RegExp(`^${source}$`);
   }
 
   /**
@@ -25,6 +245,85 @@ class BulletCRT {
     return this;
   }
 
+  /**
+   * Advance the hybrid logical clock for a local event
+   * @returns {Object} New stamp ({ wallTime, logical, peerId })
+   */
+  tickHLC() {
+    const physical = Date.now();
+
+    if (physical > this.hlc.wallTime) {
+      this.hlc = { wallTime: physical, logical: 0 };
+    } else {
+      this.hlc = { wallTime: this.hlc.wallTime, logical: this.hlc.logical + 1 };
+    }
+
+    return { ...this.hlc, peerId: this.bullet.id };
+  }
+
+  /**
+   * Advance the hybrid logical clock past a stamp received from a peer
+   * @param {Object} remote - Remote stamp
+   * @returns {Object} New local stamp
+   */
+  receiveHLC(remote) {
+    if (!remote || typeof remote.wallTime !== "number") {
+      return this.tickHLC();
+    }
+
+    const physical = Date.now();
+    const local = this.hlc;
+    const wallTime = Math.max(local.wallTime, remote.wallTime, physical);
+    let logical = 0;
+
+    if (wallTime === local.wallTime && wallTime === remote.wallTime) {
+      logical = Math.max(local.logical, remote.logical) + 1;
+    } else if (wallTime === local.wallTime) {
+      logical = local.logical + 1;
+    } else if (wallTime === remote.wallTime) {
+      logical = remote.logical + 1;
+    }
+
+    this.hlc = { wallTime, logical };
+    return { ...this.hlc, peerId: this.bullet.id };
+  }
+
+  /**
+   * Compare two hybrid logical clock stamps, using the peer ID as a stable
+   * tiebreaker so every peer orders the same pair the same way
+   * @param {Object} stamp1 - First stamp
+   * @param {Object} stamp2 - Second stamp
+   * @returns {number} -1 if stamp1 is earlier, 0 if equal, 1 if later
+   */
+  compareHLC(stamp1, stamp2) {
+    if (!stamp1 && !stamp2) return 0;
+    if (!stamp1) return -1;
+    if (!stamp2) return 1;
+
+    if (stamp1.wallTime !== stamp2.wallTime) {
+      return stamp1.wallTime > stamp2.wallTime ? 1 : -1;
+    }
+    if (stamp1.logical !== stamp2.logical) {
+      return stamp1.logical > stamp2.logical ? 1 : -1;
+    }
+
+    const peer1 = String(stamp1.peerId || "");
+    const peer2 = String(stamp2.peerId || "");
+    if (peer1 === peer2) return 0;
+    return peer1 > peer2 ? 1 : -1;
+  }
+
+  /**
+   * Current time on this node's clock, for modification times that must not
+   * depend on wall clocks being in step across machines. Reading the time
+   * is not an event, so the clock does not advance
+   * @returns {number} Milliseconds
+   */
+  now() {
+    const physical = Date.now();
+    return this.useHLC ? Math.max(physical, this.hlc.wallTime) : physical;
+  }
+
   /**
    * Create a new vector clock for a key
    * @param {string} key - Key to identify the data
@@ -43,6 +342,14 @@ class BulletCRT {
    */
   getVectorClock(key) {
     if (!this.vectorClocks.has(key)) {
+      // Continue from the persisted clock so writes after a restart still
+      // dominate what was stored before it
+      const meta = this.bullet.meta[key];
+      if (meta && meta.vectorClock) {
+        const clock = { ...meta.vectorClock };
+        this.vectorClocks.set(key, clock);
+        return clock;
+      }
       return this.createVectorClock(key);
     }
     return this.vectorClocks.get(key);
@@ -51,11 +358,18 @@ class BulletCRT {
   /**
    * Increment the vector clock for the current node
    * @param {string} key - Key to identify the data
+   * @param {Object} [baseClock] - Clock the result must also dominate
    * @returns {Object} Updated vector clock
    */
-  incrementVectorClock(key) {
-    const clock = this.getVectorClock(key);
+  incrementVectorClock(key, baseClock = null) {
+    // Copy rather than mutate, the previous clock may be referenced by meta.
+    // A path's first write counts as 1 so that peers see no gap before it
+    const meta = this.bullet.meta[key];
+    const previous =
+      this.vectorClocks.get(key) || (meta && meta.vectorClock) || null;
+    const clock = this.mergeVectorClocks(previous, baseClock);
     clock[this.bullet.id] = (clock[this.bullet.id] || 0) + 1;
+    this.vectorClocks.set(key, clock);
     return clock;
   }
 
@@ -117,9 +431,15 @@ class BulletCRT {
    * Deep merge two objects, resolving conflicts with the latest value
    * @param {*} incomingValue - Incoming data value
    * @param {*} currentValue - Current data value
+   * @param {string} [path] - Path of the values, used to find merge strategies
    * @returns {*} Merged value
    */
-  mergeValues(incomingValue, currentValue) {
+  mergeValues(incomingValue, currentValue, path = null) {
+    const strategy = this.getStrategy(path);
+    if (strategy) {
+      return strategy.merge(incomingValue, currentValue, { path });
+    }
+
     // If values aren't both objects, or one is null, or they're arrays - use incoming
     if (
       typeof incomingValue !== "object" ||
@@ -142,7 +462,11 @@ class BulletCRT {
     for (const [key, value] of Object.entries(incomingValue)) {
       if (key in result) {
         // Recursively merge nested objects
-        result[key] = this.mergeValues(value, result[key]);
+        result[key] = this.mergeValues(
+          value,
+          result[key],
+          path ? `${path}/${key}` : null
+        );
       } else {
         // Add new properties
         result[key] = value;
@@ -159,6 +483,8 @@ class BulletCRT {
    * @param {Object} currentVectorClock - Vector clock of current data
    * @param {*} incomingValue - Incoming data value
    * @param {*} currentValue - Current data value
+   * @param {Object} [incomingHLC] - Hybrid logical clock stamp of incoming data
+   * @param {Object} [currentHLC] - Hybrid logical clock stamp of current data
    * @returns {Object} Resolution decision with merged vector clock
    */
   resolve(
@@ -166,11 +492,62 @@ class BulletCRT {
     incomingVectorClock,
     currentVectorClock,
     incomingValue,
-    currentValue
+    currentValue,
+    incomingHLC = null,
+    currentHLC = null
+  ) {
+    const decision = this._decide(
+      key,
+      incomingVectorClock,
+      currentVectorClock,
+      incomingValue,
+      currentValue,
+      incomingHLC,
+      currentHLC
+    );
+
+    if (decision.concurrent) {
+      this._recordConflict(key, decision, {
+        incoming: {
+          value: incomingValue,
+          vectorClock: incomingVectorClock,
+          hlc: incomingHLC,
+        },
+        current: {
+          value: currentValue,
+          vectorClock: currentVectorClock,
+          hlc: currentHLC,
+        },
+      });
+    } else if (decision.incoming && this.bullet.meta[key]) {
+      // A write that has seen every sibling settles a manual conflict
+      delete this.bullet.meta[key].siblings;
+      this.bullet._touchMeta();
+    }
+
+    return decision;
+  }
+
+  /**
+   * Decide between incoming and current state for resolve()
+   * @private
+   */
+  _decide(
+    key,
+    incomingVectorClock,
+    currentVectorClock,
+    incomingValue,
+    currentValue,
+    incomingHLC,
+    currentHLC
   ) {
     // No current state, accept incoming
     if (!currentVectorClock) {
-      const clock = this.incrementVectorClock(key);
+      const clock = this.mergeVectorClocks(
+        incomingVectorClock,
+        this.vectorClocks.get(key)
+      );
+      this.vectorClocks.set(key, clock);
       return {
         defer: false,
         historical: false,
@@ -179,6 +556,7 @@ class BulletCRT {
         current: false,
         concurrent: false,
         vectorClock: clock,
+        hlc: incomingHLC,
         reason: "no current state",
         value: incomingValue,
       };
@@ -196,6 +574,12 @@ class BulletCRT {
 
     this.vectorClocks.set(key, mergedClock);
 
+    // Both sides stamped: concurrent writes can be ordered by real time
+    const stampComparison =
+      this.useHLC && incomingHLC && currentHLC
+        ? this.compareHLC(incomingHLC, currentHLC)
+        : null;
+
     // Identical clocks, compare values
     if (
       comparison === 0 &&
@@ -213,22 +597,30 @@ class BulletCRT {
           current: false,
           concurrent: false,
           vectorClock: mergedClock,
+          hlc: this._laterStamp(incomingHLC, currentHLC),
           reason: "identical clocks and values",
           value: currentValue,
         };
       }
 
-      // Different values but identical clocks, use value comparison
+      // Different values but identical clocks, use the stamps if we have
+      // them and value comparison otherwise
+      const incomingWins =
+        stampComparison !== null ? stampComparison > 0 : valueComparison > 0;
       return {
         defer: false,
         historical: false,
         converge: true,
-        incoming: valueComparison > 0,
-        current: valueComparison < 0,
+        incoming: incomingWins,
+        current: !incomingWins,
         concurrent: false,
         vectorClock: mergedClock,
-        reason: "identical clocks, decided by value comparison",
-        value: valueComparison > 0 ? incomingValue : currentValue,
+        hlc: incomingWins ? incomingHLC : currentHLC,
+        reason:
+          stampComparison !== null
+            ? "identical clocks, decided by hybrid logical clock"
+            : "identical clocks, decided by value comparison",
+        value: incomingWins ? incomingValue : currentValue,
       };
     }
 
@@ -242,6 +634,7 @@ class BulletCRT {
         current: false,
         concurrent: false,
         vectorClock: mergedClock,
+        hlc: incomingHLC,
         reason: "incoming vector clock dominates",
         value: incomingValue,
       };
@@ -257,13 +650,81 @@ class BulletCRT {
         current: true,
         concurrent: false,
         vectorClock: mergedClock,
+        hlc: currentHLC,
         reason: "current vector clock dominates (incoming is historical)",
         value: currentValue,
       };
     }
 
+    // Concurrent write and delete - the write wins, so a delete never
+    // discards data its author had not seen
+    if (
+      (incomingValue === null) !== (currentValue === null) &&
+      currentValue !== undefined
+    ) {
+      const incomingWins = incomingValue !== null;
+      return {
+        defer: false,
+        historical: false,
+        converge: true,
+        incoming: incomingWins,
+        current: !incomingWins,
+        concurrent: true,
+        vectorClock: mergedClock,
+        hlc: incomingWins ? incomingHLC : currentHLC,
+        reason: "concurrent write and delete, write wins",
+        value: incomingWins ? incomingValue : currentValue,
+      };
+    }
+
+    // A registered strategy decides concurrent writes to its paths
+    const strategy = this.getStrategy(key);
+    if (strategy) {
+      const value = strategy.merge(incomingValue, currentValue, {
+        path: key,
+        incomingClock: incomingVectorClock,
+        currentClock: currentVectorClock,
+        incomingHLC,
+        currentHLC,
+      });
+      return {
+        defer: false,
+        historical: false,
+        converge: true,
+        incoming: value === incomingValue,
+        current: value === currentValue,
+        concurrent: true,
+        vectorClock: mergedClock,
+        hlc: this._laterStamp(incomingHLC, currentHLC),
+        strategy: strategy.name,
+        reason: `concurrent modifications, resolved by "${strategy.name}" strategy`,
+        value,
+      };
+    }
+
+    // Concurrent writes of anything but two objects - last writer wins,
+    // with the peer ID as tiebreaker so every peer picks the same value
+    if (
+      stampComparison !== null &&
+      !(this._isPlainObject(incomingValue) && this._isPlainObject(currentValue))
+    ) {
+      const incomingWins = stampComparison > 0;
+      return {
+        defer: false,
+        historical: false,
+        converge: true,
+        incoming: incomingWins,
+        current: !incomingWins,
+        concurrent: true,
+        vectorClock: mergedClock,
+        hlc: incomingWins ? incomingHLC : currentHLC,
+        reason: "concurrent modifications, last writer wins by hybrid logical clock",
+        value: incomingWins ? incomingValue : currentValue,
+      };
+    }
+
     // Concurrent modifications - merge the objects
-    const mergedValue = this.mergeValues(incomingValue, currentValue);
+    const mergedValue = this.mergeValues(incomingValue, currentValue, key);
 
     return {
       defer: false,
@@ -273,6 +734,7 @@ class BulletCRT {
       current: false,
       concurrent: true,
       vectorClock: mergedClock,
+      hlc: this._laterStamp(incomingHLC, currentHLC),
       reason: "concurrent modifications, merged objects",
       value: mergedValue,
     };
@@ -282,13 +744,14 @@ class BulletCRT {
    * Create a simple update with the vector clock for the specified key
    * @param {string} key - Key for the data being updated
    * @param {*} value - New value
-   * @returns {Object} Update object with value and vector clock
+   * @returns {Object} Update object with value, vector clock and stamp
    */
   createUpdate(key, value) {
     const clock = this.incrementVectorClock(key);
     return {
       value,
       vectorClock: { ...clock },
+      hlc: this.useHLC ? this.tickHLC() : null,
     };
   }
 
@@ -328,12 +791,22 @@ class BulletCRT {
    */
   handleUpdate(path, incomingData, isFromNetwork = false) {
     // Get current data and its vector clock (if it exists)
-    const currentData = this.bullet._getData(path);
     const currentMeta = this.bullet.meta[path] || {};
-    const currentClock = currentMeta.vectorClock;
+    const currentData = currentMeta.deleted ? null : this._lookup(path);
+    let currentClock = this.getPathClock(path);
+    let currentHLC = currentMeta.deleted
+      ? currentMeta.hlc
+      : this.getSubtreeStamp(path, currentData);
 
     // Extract or create incoming vector clock
     let incomingClock;
+    let incomingFieldClocks = null;
+    let incomingHLC = null;
+    let incomingFieldStamps = null;
+    let incomingCRDT = null;
+    let incomingExpiresAt = null;
+    let incomingIsDelta = false;
+    let crdtDelta = null;
     let dataToStore = incomingData;
 
     if (
@@ -343,47 +816,1314 @@ class BulletCRT {
       incomingData.__vectorClock
     ) {
       // Data from network contains vector clock information
-      incomingClock = incomingData.__vectorClock;
+      const {
+        __vectorClock,
+        __fieldClocks,
+        __hlc,
+        __fieldStamps,
+        __deleted,
+        __value,
+        __crdt,
+        __crdtDelta,
+        __expiresAt,
+        ...cleanData
+      } = incomingData;
+      incomingClock = this.compactClock(__vectorClock);
+      incomingFieldClocks = __fieldClocks
+        ? this._compactFields(__fieldClocks)
+        : null;
+      incomingHLC = __hlc || null;
+      incomingFieldStamps = __fieldStamps || null;
+      incomingCRDT = __crdt || null;
+      incomingIsDelta = Boolean(__crdt && __crdtDelta);
+      incomingExpiresAt = __expiresAt || null;
+
+      if (this.useHLC && incomingHLC) {
+        this.receiveHLC(incomingHLC);
+      }
+      if (incomingHLC && incomingHLC.peerId) {
+        this.peerActivity.set(incomingHLC.peerId, Date.now());
+      }
 
-      // Remove vector clock from the data before storing
-      if (Array.isArray(incomingData)) {
-        dataToStore = [...incomingData];
-        delete dataToStore.__vectorClock;
+      // Remove clock information from the data before storing
+      if (__deleted) {
+        dataToStore = null;
+      } else if ("__value" in incomingData) {
+        dataToStore = __value;
       } else {
-        const { __vectorClock, ...cleanData } = incomingData;
         dataToStore = cleanData;
       }
     } else {
-      // Local update, create new vector clock or increment existing
-      incomingClock = this.incrementVectorClock(path);
+      // Local update, the new clock must dominate everything under the path
+      incomingClock = this.incrementVectorClock(path, currentClock);
+      incomingHLC = this.useHLC ? this.tickHLC() : null;
+
+      if (this._isPlainObject(incomingData) && incomingData.__crdt) {
+        incomingCRDT = incomingData.__crdt;
+        crdtDelta = incomingData.__crdtDelta || null;
+      }
     }
 
-    // Resolve any conflicts
-    const result = this.resolve(
-      path,
-      incomingClock,
-      currentClock,
-      dataToStore,
-      currentData
-    );
+    // A field missing from an object written concurrently was not removed
+    // by that write, which had not seen it. resolveFields() keeps such a
+    // field when the object arrives, so it is added here as well
+    if (
+      isFromNetwork &&
+      this._isAbsentField(path, currentData) &&
+      this.compareVectorClocks(incomingClock, currentClock) === 0
+    ) {
+      currentClock = null;
+      currentHLC = null;
+    }
+
+    // CRDT states merge instead of competing, otherwise resolve any
+    // conflicts, field by field when both sides are objects, unless a
+    // merge strategy wants to see the whole values
+    const result = incomingCRDT
+      ? this.resolveCRDT(
+          path,
+          {
+            clock: incomingClock,
+            hlc: incomingHLC,
+            state: incomingCRDT,
+            delta: incomingIsDelta,
+          },
+          { clock: currentClock, hlc: currentHLC, value: currentData },
+          currentMeta.deleted ? null : currentMeta.crdt
+        )
+      : this._isPlainObject(dataToStore) &&
+      this._isPlainObject(currentData) &&
+      !this.getStrategy(path)
+        ? this.resolveFields(
+            path,
+            { clock: incomingClock, hlc: incomingHLC },
+            { clocks: incomingFieldClocks, stamps: incomingFieldStamps },
+            dataToStore,
+            currentData
+          )
+        : this.resolve(
+            path,
+            incomingClock,
+            currentClock,
+            dataToStore,
+            currentData,
+            incomingHLC,
+            currentHLC
+          );
+
+    let fieldClocks = null;
+    let fieldStamps = null;
+    if (this._isPlainObject(result.value)) {
+      if (result.fieldClocks) {
+        fieldClocks = result.fieldClocks;
+        fieldStamps = result.fieldStamps;
+      } else if (result.value === dataToStore) {
+        fieldClocks = this._fillFields(
+          result.value,
+          result.vectorClock,
+          incomingFieldClocks
+        );
+        fieldStamps = this._fillFields(
+          result.value,
+          result.hlc,
+          incomingFieldStamps
+        );
+      } else {
+        fieldClocks = this.getFieldClocks(path, result.value);
+        fieldStamps = this.getFieldStamps(path, result.value);
+      }
+    }
 
     // For network broadcasting, prepare data with vector clock
-    let broadcastData = result.value;
-    if (typeof broadcastData === "object" && broadcastData !== null) {
-      broadcastData = Array.isArray(broadcastData)
-        ? [...broadcastData, { __vectorClock: result.vectorClock }]
-        : { ...broadcastData, __vectorClock: result.vectorClock };
+    let broadcastData;
+    if (result.value === null) {
+      // Tombstones travel with their clock like any other write
+      broadcastData = { __deleted: true, __vectorClock: result.vectorClock };
+    } else if (this._isPlainObject(result.value)) {
+      broadcastData = { ...result.value, __vectorClock: result.vectorClock };
+
+      // Only ship field clocks and stamps when they differ from the path's
+      if (this._hasDistinctFields(fieldClocks, result.vectorClock)) {
+        broadcastData.__fieldClocks = fieldClocks;
+      }
+      if (fieldStamps && this._hasDistinctFields(fieldStamps, result.hlc)) {
+        broadcastData.__fieldStamps = fieldStamps;
+      }
+    } else {
+      // Primitives and arrays are wrapped so they can carry a clock too
+      broadcastData = {
+        __value: result.value,
+        __vectorClock: result.vectorClock,
+      };
+    }
+
+    if (crdtDelta) {
+      // Peers rebuild the value from the delta, so only the delta travels
+      broadcastData = {
+        __crdt: crdtDelta,
+        __crdtDelta: true,
+        __vectorClock: result.vectorClock,
+      };
+    } else if (result.crdt) {
+      broadcastData.__crdt = result.crdt;
+    }
+
+    if (result.hlc) {
+      broadcastData.__hlc = result.hlc;
     }
 
     return {
       value: result.value, // The value to store
       vectorClock: result.vectorClock, // Vector clock to store in metadata
+      hlc: result.hlc, // Hybrid logical clock stamp of the stored value
+      fieldClocks, // Per-leaf vector clocks for object values
+      fieldStamps, // Per-leaf stamps for object values
+      crdt: result.crdt || null, // Merged CRDT state, if the value is a CRDT
+      // Expiry carried by a winning network write, undefined to keep the
+      // current one. Local writes get theirs from the write options
+      expiresAt:
+        isFromNetwork && result.incoming ? incomingExpiresAt : undefined,
       broadcastData: broadcastData, // Data to broadcast (with vector clock)
       decision: result, // Full decision for logging/debugging
-      doUpdate: result.incoming || !currentClock || result.concurrent, // Whether to update or not
+      // Whether to update or not
+      doUpdate:
+        !result.missingBase &&
+        (result.incoming || !currentClock || result.concurrent),
+    };
+  }
+
+  /**
+   * Merge an incoming CRDT state into the state stored at a path. CRDT
+   * merges commute, so there is no winner to pick: the result simply
+   * covers both sides
+   *
+   * A delta only covers what changed, so it needs the state it was taken
+   * from. Without one here the path is fetched from the sending peer
+   * instead of materializing the delta alone
+   *
+   * @param {string} path - Data path
+   * @param {Object} incoming - Incoming { clock, hlc, state, delta }
+   * @param {Object} current - Current { clock, hlc, value }
+   * @param {Object|null} currentState - CRDT state stored at the path
+   * @returns {Object} Decision in the shape returned by resolve()
+   */
+  resolveCRDT(path, incoming, current, currentState) {
+    if (
+      incoming.delta &&
+      (!currentState || currentState.type !== incoming.state.type)
+    ) {
+      this._requestBaseState(path);
+      return {
+        value: current.value,
+        vectorClock: current.clock,
+        hlc: current.hlc,
+        crdt: currentState,
+        incoming: false,
+        concurrent: false,
+        missingBase: true,
+        reason: `no ${incoming.state.type} state to apply the delta to`,
+      };
+    }
+
+    const state = this.bullet.crdt.merge(incoming.state, currentState);
+    const changed = JSON.stringify(state) !== JSON.stringify(currentState);
+    const vectorClock = this.mergeVectorClocks(incoming.clock, current.clock);
+
+    if (changed) {
+      this.vectorClocks.set(path, { ...vectorClock });
+    }
+
+    return {
+      value: this.bullet.crdt.value(state),
+      vectorClock,
+      hlc: this._laterStamp(incoming.hlc, current.hlc),
+      crdt: state,
+      incoming: changed,
+      concurrent: false,
+      reason: changed
+        ? `merged ${state.type} state`
+        : `${state.type} state already included`,
+    };
+  }
+
+  /**
+   * Get the plain value a write from a peer stands for, without resolving
+   * it against the value stored here. CRDT payloads are merged into the
+   * local state, which is left untouched
+   * @param {string} path - Data path
+   * @param {*} data - Write as sent by the peer
+   * @returns {*} Plain value, null for a delete
+   */
+  materialize(path, data) {
+    if (!this._isPlainObject(data)) return data;
+    if (data.__deleted) return null;
+
+    if (data.__crdt) {
+      const meta = this.bullet.meta[path];
+      const current =
+        meta &&
+        !meta.deleted &&
+        meta.crdt &&
+        meta.crdt.type === data.__crdt.type
+          ? meta.crdt
+          : null;
+
+      // A delta means nothing without the state it was taken from
+      if (data.__crdtDelta && !current) return this._lookup(path);
+
+      return this.bullet.crdt.value(
+        current ? this.bullet.crdt.merge(data.__crdt, current) : data.__crdt
+      );
+    }
+
+    if ("__value" in data) return data.__value;
+
+    const value = {};
+    for (const [key, child] of Object.entries(data)) {
+      if (!key.startsWith("__")) value[key] = child;
+    }
+    return value;
+  }
+
+  /**
+   * Fetch the full state of a path from the peer whose write is being
+   * applied
+   * @param {string} path - Data path
+   * @private
+   */
+  _requestBaseState(path) {
+    const origin = this.bullet._writeOrigin;
+    const sync = this.bullet.network && this.bullet.network.sync;
+
+    if (origin && origin.peerId && sync) {
+      sync.requestPaths(origin.peerId, [path]);
+    } else {
+      console.warn(`Dropped CRDT delta for ${path}: no state to apply it to`);
+    }
+  }
+
+  /**
+   * Resolve an object write against an existing object leaf by leaf, so
+   * concurrent edits to different fields merge and edits to the same field
+   * are decided by that field's own clock
+   * @param {string} path - Path being written
+   * @param {Object} incoming - Vector clock and stamp of the write ({ clock, hlc })
+   * @param {Object} incomingFields - Known per-leaf clocks and stamps ({ clocks, stamps })
+   * @param {Object} incomingValue - Incoming object
+   * @param {Object} currentValue - Current object
+   * @returns {Object} Resolution decision with per-leaf clocks and stamps
+   */
+  resolveFields(path, incoming, incomingFields, incomingValue, currentValue) {
+    const incomingClock = incoming.clock;
+    const incomingFieldClocks = (incomingFields && incomingFields.clocks) || {};
+    const incomingFieldStamps = (incomingFields && incomingFields.stamps) || {};
+    const incomingLeaves = this._flatten(incomingValue);
+    const currentLeaves = this._flatten(currentValue);
+    const relPaths = new Set([
+      ...incomingLeaves.keys(),
+      ...currentLeaves.keys(),
+    ]);
+
+    const value = {};
+    const fieldClocks = {};
+    const fieldStamps = {};
+    const fields = {};
+    let mergedClock = { ...incomingClock };
+    let latestStamp = incoming.hlc;
+    let changed = false;
+    let concurrent = false;
+
+    for (const relPath of relPaths) {
+      const leafPath = `${path}/${relPath}`;
+      const leafMeta = this.bullet.meta[leafPath];
+      const leafClock = this._effectiveClock(leafPath);
+      const leafStamp = this._effectiveStamp(leafPath);
+
+      if (leafClock) {
+        mergedClock = this.mergeVectorClocks(mergedClock, leafClock);
+      }
+
+      if (!incomingLeaves.has(relPath)) {
+        // Only the current side has this field, the write removes it if it
+        // has seen the field's latest version
+        const comparison = this.compareVectorClocks(incomingClock, leafClock);
+        if (comparison > 0) {
+          changed = true;
+        } else {
+          if (comparison === 0) concurrent = true;
+          this._setLeaf(value, relPath, currentLeaves.get(relPath));
+          fieldClocks[relPath] = leafClock;
+          fieldStamps[relPath] = leafStamp;
+          latestStamp = this._laterStamp(latestStamp, leafStamp);
+        }
+        continue;
+      }
+
+      let currentLeaf;
+      if (currentLeaves.has(relPath)) {
+        currentLeaf = currentLeaves.get(relPath);
+      } else if (leafMeta && leafMeta.deleted) {
+        currentLeaf = null;
+      }
+
+      const decision = this.resolve(
+        leafPath,
+        incomingFieldClocks[relPath] || incomingClock,
+        leafClock,
+        incomingLeaves.get(relPath),
+        currentLeaf,
+        incomingFieldStamps[relPath] || incoming.hlc,
+        leafStamp
+      );
+      fields[relPath] = decision;
+
+      if (decision.incoming) changed = true;
+      if (decision.concurrent) concurrent = true;
+
+      // A field that stays tombstoned is left out of the merged object
+      if (decision.value === null && !decision.incoming && currentLeaf === null) {
+        continue;
+      }
+      if (decision.value !== undefined) {
+        this._setLeaf(value, relPath, decision.value);
+        fieldClocks[relPath] = decision.vectorClock;
+        fieldStamps[relPath] = decision.hlc;
+        latestStamp = this._laterStamp(latestStamp, decision.hlc);
+      }
+    }
+
+    this.vectorClocks.set(path, mergedClock);
+
+    let reason = "current field clocks dominate";
+    if (concurrent) {
+      reason = "concurrent modifications, merged per field";
+    } else if (changed) {
+      reason = "incoming field clocks dominate";
+    }
+
+    return {
+      defer: false,
+      historical: !changed && !concurrent,
+      converge: true,
+      incoming: changed,
+      current: !changed,
+      concurrent,
+      vectorClock: mergedClock,
+      hlc: latestStamp,
+      fieldClocks,
+      fieldStamps,
+      fields,
+      reason,
+      value,
     };
   }
 
+  /**
+   * Get the vector clock of every leaf field in a value stored at a path
+   * @param {string} path - Path of the value
+   * @param {*} value - Value stored at the path
+   * @returns {Object} Map of relative leaf path to vector clock
+   */
+  getFieldClocks(path, value) {
+    const fieldClocks = {};
+    for (const relPath of this._flatten(value).keys()) {
+      fieldClocks[relPath] = this._effectiveClock(`${path}/${relPath}`);
+    }
+    return fieldClocks;
+  }
+
+  /**
+   * Get the hybrid logical clock stamp of every leaf field in a value
+   * @param {string} path - Path of the value
+   * @param {*} value - Value stored at the path
+   * @returns {Object} Map of relative leaf path to stamp
+   */
+  getFieldStamps(path, value) {
+    const fieldStamps = {};
+    for (const relPath of this._flatten(value).keys()) {
+      fieldStamps[relPath] = this._effectiveStamp(`${path}/${relPath}`);
+    }
+    return fieldStamps;
+  }
+
+  /**
+   * Get the latest stamp of any write to a path and its descendants
+   * @param {string} path - Path to get the stamp for
+   * @param {*} value - Value currently stored at the path
+   * @returns {Object|null} Latest stamp, if any
+   */
+  getSubtreeStamp(path, value) {
+    let stamp = this._effectiveStamp(path);
+    for (const leafStamp of Object.values(this.getFieldStamps(path, value))) {
+      stamp = this._laterStamp(stamp, leafStamp);
+    }
+    return stamp;
+  }
+
+  /**
+   * Get a clock that dominates every write to a path and its descendants
+   * @param {string} path - Path to get the clock for
+   * @param {*} value - Value currently stored at the path
+   * @returns {Object|undefined} Merged vector clock, if anything was written
+   */
+  getSubtreeClock(path, value) {
+    let clock = this._effectiveClock(path);
+
+    for (const leafClock of Object.values(this.getFieldClocks(path, value))) {
+      if (leafClock) clock = this.mergeVectorClocks(clock, leafClock);
+    }
+
+    for (const deletedPath of this._tombstonesBelow(path)) {
+      clock = this.mergeVectorClocks(
+        clock,
+        this.bullet.meta[deletedPath].vectorClock
+      );
+    }
+
+    return clock;
+  }
+
+  /**
+   * Record per-leaf metadata after a write, dropping metadata for paths the
+   * new value no longer contains so their clocks fall back to the write's
+   * @param {string} path - Written path
+   * @param {*} oldValue - Value stored before the write
+   * @param {Object} update - Result of handleUpdate for the write
+   * @param {string} source - "local" or "network"
+   * @param {number} timestamp - Modification time
+   */
+  recordFieldClocks(path, oldValue, update, source, timestamp) {
+    const { value, vectorClock, fieldClocks, hlc, fieldStamps } = update;
+    const leaves = this._isPlainObject(value)
+      ? [...this._flatten(value).keys()]
+      : [];
+    const leafSet = new Set(leaves);
+    const stale = new Set([
+      ...this._descendantPaths(oldValue),
+      ...this._descendantPaths(value),
+    ]);
+
+    for (const relPath of stale) {
+      if (leafSet.has(relPath)) continue;
+      const metaPath = `${path}/${relPath}`;
+      const meta = this.bullet.meta[metaPath];
+      if (meta && !meta.deleted) {
+        delete this.bullet.meta[metaPath];
+        this.vectorClocks.delete(metaPath);
+        if (meta.expiresAt && this.bullet.expiry) {
+          this.bullet.expiry.track(metaPath, null);
+        }
+      }
+    }
+
+    for (const relPath of leaves) {
+      const metaPath = `${path}/${relPath}`;
+      const { deleted, acks, ...previousMeta } =
+        this.bullet.meta[metaPath] || {};
+      const clock = (fieldClocks && fieldClocks[relPath]) || vectorClock;
+      const stamp = (fieldStamps && fieldStamps[relPath]) || hlc;
+
+      // A rewritten leaf holds plain data again, so its CRDT state goes,
+      // and it lives as long as the write that rewrote it says
+      if (!this._sameClock(previousMeta.vectorClock, clock)) {
+        delete previousMeta.crdt;
+        if (previousMeta.expiresAt) {
+          delete previousMeta.expiresAt;
+          if (this.bullet.expiry) this.bullet.expiry.track(metaPath, null);
+        }
+      }
+
+      this.bullet.meta[metaPath] = {
+        ...previousMeta,
+        source,
+        vectorClock: clock,
+        lastModified: timestamp,
+      };
+      if (stamp) {
+        this.bullet.meta[metaPath].hlc = stamp;
+      } else {
+        delete this.bullet.meta[metaPath].hlc;
+      }
+      this.vectorClocks.set(metaPath, { ...clock });
+    }
+  }
+
+  /**
+   * Find the clock governing a path: its own, or the nearest ancestor's
+   * @param {string} path - Path to look up
+   * @returns {Object|undefined} Vector clock
+   * @private
+   */
+  _effectiveClock(path) {
+    const parts = path.split("/").filter(Boolean);
+    while (parts.length > 0) {
+      const meta = this.bullet.meta[parts.join("/")];
+      if (meta && meta.vectorClock) return meta.vectorClock;
+      parts.pop();
+    }
+    return undefined;
+  }
+
+  /**
+   * Find the stamp governing a path: its own, or the nearest ancestor's
+   * @param {string} path - Path to look up
+   * @returns {Object|null} Hybrid logical clock stamp
+   * @private
+   */
+  _effectiveStamp(path) {
+    const parts = path.split("/").filter(Boolean);
+    while (parts.length > 0) {
+      const meta = this.bullet.meta[parts.join("/")];
+      if (meta && meta.vectorClock) return meta.hlc || null;
+      parts.pop();
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a path is a field that an object stored above it does
+   * not have, so its clock is only the object's
+   * @param {string} path - Path to check
+   * @param {*} value - Value stored at the path
+   * @returns {boolean} Whether the path is an absent field
+   * @private
+   */
+  _isAbsentField(path, value) {
+    if (value !== undefined || this.bullet.meta[path]) return false;
+
+    const parts = path.split("/").filter(Boolean);
+    while (parts.length > 1) {
+      parts.pop();
+      const ancestorPath = parts.join("/");
+      const meta = this.bullet.meta[ancestorPath];
+      if (meta && meta.vectorClock) {
+        return (
+          !meta.deleted && this._isPlainObject(this._lookup(ancestorPath))
+        );
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Pick the later of two stamps, tolerating missing ones
+   * @param {Object|null} stamp1 - First stamp
+   * @param {Object|null} stamp2 - Second stamp
+   * @returns {Object|null} Later stamp
+   * @private
+   */
+  _laterStamp(stamp1, stamp2) {
+    if (!stamp1) return stamp2 || null;
+    if (!stamp2) return stamp1;
+    return this.compareHLC(stamp1, stamp2) >= 0 ? stamp1 : stamp2;
+  }
+
+  /**
+   * Check whether two vector clocks hold exactly the same counters
+   * @param {Object} clock1 - First vector clock
+   * @param {Object} clock2 - Second vector clock
+   * @returns {boolean} Whether the clocks are identical
+   * @private
+   */
+  _sameClock(clock1, clock2) {
+    if (!clock1 || !clock2) return clock1 === clock2;
+    const nodes = new Set([...Object.keys(clock1), ...Object.keys(clock2)]);
+    return [...nodes].every(
+      (node) => (clock1[node] || 0) === (clock2[node] || 0)
+    );
+  }
+
+  /**
+   * Read the raw stored value at a path without creating missing nodes
+   * @param {string} path - Path to read
+   * @returns {*} Stored value, or undefined if absent
+   * @private
+   */
+  _lookup(path) {
+    let current = this.bullet.store;
+    for (const part of path.split("/").filter(Boolean)) {
+      if (typeof current !== "object" || current === null) return undefined;
+      if (!Object.prototype.hasOwnProperty.call(current, part)) {
+        return undefined;
+      }
+      current = current[part];
+    }
+    return current;
+  }
+
+  /**
+   * Check whether a value is a plain (non-array) object
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether it is a plain object
+   * @private
+   */
+  _isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Flatten a value into its leaf fields. Arrays, primitives and empty
+   * objects are leaves.
+   * @param {*} value - Value to flatten
+   * @param {string} [prefix] - Relative path prefix
+   * @param {Map} [leaves] - Accumulator
+   * @returns {Map} Map of relative leaf path to value
+   * @private
+   */
+  _flatten(value, prefix = "", leaves = new Map()) {
+    if (!this._isPlainObject(value)) return leaves;
+
+    for (const [key, child] of Object.entries(value)) {
+      const relPath = prefix ? `${prefix}/${key}` : key;
+      if (this._isPlainObject(child) && Object.keys(child).length > 0) {
+        this._flatten(child, relPath, leaves);
+      } else {
+        leaves.set(relPath, child);
+      }
+    }
+
+    return leaves;
+  }
+
+  /**
+   * List every relative path (intermediate and leaf) inside a value
+   * @param {*} value - Value to walk
+   * @param {string} [prefix] - Relative path prefix
+   * @param {Array} [paths] - Accumulator
+   * @returns {Array<string>} Relative paths
+   * @private
+   */
+  _descendantPaths(value, prefix = "", paths = []) {
+    if (!this._isPlainObject(value)) return paths;
+
+    for (const [key, child] of Object.entries(value)) {
+      const relPath = prefix ? `${prefix}/${key}` : key;
+      paths.push(relPath);
+      this._descendantPaths(child, relPath, paths);
+    }
+
+    return paths;
+  }
+
+  /**
+   * Set a leaf inside an object by relative path, creating parents
+   * @param {Object} target - Object to write into
+   * @param {string} relPath - Relative leaf path
+   * @param {*} value - Leaf value
+   * @private
+   */
+  _setLeaf(target, relPath, value) {
+    const parts = relPath.split("/");
+    const key = parts.pop();
+    let node = target;
+
+    for (const part of parts) {
+      if (!this._isPlainObject(node[part])) node[part] = {};
+      node = node[part];
+    }
+
+    // An empty-object leaf never overwrites fields merged into it
+    if (this._isPlainObject(value) && this._isPlainObject(node[key])) return;
+    node[key] = value;
+  }
+
+  /**
+   * Build per-leaf clocks or stamps for a value written with a single one
+   * @param {Object} value - Written object
+   * @param {Object} fallback - Clock or stamp of the write
+   * @param {Object|null} overrides - Known per-leaf clocks or stamps
+   * @returns {Object} Map of relative leaf path to clock or stamp
+   * @private
+   */
+  _fillFields(value, fallback, overrides) {
+    const fields = {};
+    for (const relPath of this._flatten(value).keys()) {
+      fields[relPath] = (overrides && overrides[relPath]) || fallback;
+    }
+    return fields;
+  }
+
+  /**
+   * Check whether any per-leaf clock or stamp differs from the path's own
+   * @param {Object} fields - Map of relative leaf path to clock or stamp
+   * @param {Object} reference - Clock or stamp of the path
+   * @returns {boolean} Whether the fields need to be sent separately
+   * @private
+   */
+  _hasDistinctFields(fields, reference) {
+    const referenceJson = JSON.stringify(reference);
+    return Object.values(fields).some(
+      (field) => JSON.stringify(field) !== referenceJson
+    );
+  }
+
+  /**
+   * Record a tombstone for a deleted path. Descendants that had their own
+   * metadata are tombstoned too, so stale writes to them are rejected.
+   * @param {string} path - Deleted path
+   * @param {*} oldValue - Value stored before the delete, whose descendant
+   *   paths are the only ones that can have metadata of their own
+   */
+  addTombstone(path, oldValue) {
+    const meta = this.bullet.meta[path];
+
+    this._indexTombstone(path);
+
+    for (const relPath of this._descendantPaths(oldValue)) {
+      const metaPath = `${path}/${relPath}`;
+      const childMeta = this.bullet.meta[metaPath];
+      if (childMeta && !childMeta.deleted) {
+        this.bullet.meta[metaPath] = {
+          ...childMeta,
+          deleted: true,
+          acks: {},
+          lastModified: meta.lastModified,
+        };
+        this._indexTombstone(metaPath);
+      }
+    }
+  }
+
+  /**
+   * Drop tombstones made obsolete by a write: those on ancestors of the
+   * path and those on descendants that the written value recreates
+   * @param {string} path - Written path
+   * @param {*} value - Written value
+   */
+  reviveTombstones(path, value) {
+    if (this.tombstones.size === 0) return;
+
+    const prefix = path + "/";
+    const recreated = this._tombstonesBelow(path).filter((deletedPath) => {
+      let current = value;
+      return deletedPath
+        .slice(prefix.length)
+        .split("/")
+        .every((part) => {
+          if (typeof current !== "object" || current === null) return false;
+          if (!(part in current)) return false;
+          current = current[part];
+          return true;
+        });
+    });
+
+    for (const tombstonePath of [
+      ...this._tombstonesAbove(path),
+      ...recreated,
+    ]) {
+      const { deleted, acks, ...rest } = this.bullet.meta[tombstonePath];
+      this.bullet.meta[tombstonePath] = rest;
+      this._unindexTombstone(tombstonePath);
+    }
+  }
+
+  /**
+   * Record that a peer holds a tombstone, collecting it once every known
+   * peer does. A peer holds a tombstone once it has applied it, and so
+   * does the peer it came from. Tombstones its descendants got from the
+   * same delete are acknowledged with it
+   * @param {string} path - Tombstoned path
+   * @param {string} peerId - Acknowledging peer
+   * @returns {boolean} Whether the tombstone was collected
+   */
+  acknowledgeTombstone(path, peerId) {
+    const meta = this.bullet.meta[path];
+    if (!meta || !meta.deleted) return false;
+
+    for (const tombstonePath of this._tombstonesBelow(path)) {
+      const childMeta = this.bullet.meta[tombstonePath];
+      if (childMeta.lastModified === meta.lastModified) {
+        childMeta.acks = { ...(childMeta.acks || {}), [peerId]: true };
+        this._collectTombstone(tombstonePath);
+      }
+    }
+
+    meta.acks = { ...(meta.acks || {}), [peerId]: true };
+    this.bullet._touchMeta();
+
+    return this._collectTombstone(path);
+  }
+
+  /**
+   * Garbage-collect every tombstone acknowledged by all known peers
+   * @returns {number} Number of tombstones collected
+   */
+  collectTombstones() {
+    let collected = 0;
+    for (const path of [...this.tombstones]) {
+      if (this._collectTombstone(path)) collected++;
+    }
+    return collected;
+  }
+
+  /**
+   * Remove a tombstone if all known peers have acknowledged it. Its meta
+   * entry goes with it; only the counter this process uses for its next
+   * write to the path stays in memory, so that write still wins over the
+   * delete on peers that have not collected it yet
+   * @param {string} path - Tombstoned path
+   * @returns {boolean} Whether the tombstone was collected
+   * @private
+   */
+  _collectTombstone(path) {
+    const meta = this.bullet.meta[path];
+    if (!meta || !meta.deleted) {
+      this._unindexTombstone(path);
+      return false;
+    }
+
+    const network = this.bullet.network;
+
+    // Without a network nobody can resurrect the data, otherwise wait for
+    // every peer we have ever talked to
+    if (network) {
+      const acks = meta.acks || {};
+      if (network.knownPeers.size === 0) return false;
+      for (const peerId of network.knownPeers) {
+        if (!acks[peerId]) return false;
+      }
+    }
+
+    delete this.bullet.meta[path];
+    this.bullet._touchMeta();
+    this._unindexTombstone(path);
+    this.vectorClocks.set(
+      path,
+      this.mergeVectorClocks(this.vectorClocks.get(path), meta.vectorClock)
+    );
+
+    if (this.bullet.middleware) {
+      this.bullet.middleware.emitEvent("tombstone:collected", { path });
+    }
+
+    return true;
+  }
+
+  /**
+   * Save the metadata and counters a write to a path can change: those of
+   * the path, its ancestors and its descendants
+   * @param {string} path - Data path
+   * @returns {Map<string, Object>} Saved { meta, clock } by path
+   */
+  saveMeta(path) {
+    const saved = new Map();
+    for (const metaPath of this._affectedPaths(path)) {
+      const meta = this.bullet.meta[metaPath];
+      saved.set(metaPath, {
+        meta: meta && { ...meta },
+        clock: this.vectorClocks.get(metaPath),
+      });
+    }
+    return saved;
+  }
+
+  /**
+   * Put back the metadata saved by saveMeta(), removing what was added
+   * since
+   * @param {string} path - Data path
+   * @param {Map<string, Object>} saved - Result of saveMeta()
+   */
+  restoreMeta(path, saved) {
+    for (const metaPath of new Set([
+      ...this._affectedPaths(path),
+      ...saved.keys(),
+    ])) {
+      const { meta, clock } = saved.get(metaPath) || {};
+
+      if (meta) {
+        this.bullet.meta[metaPath] = meta;
+      } else {
+        delete this.bullet.meta[metaPath];
+      }
+      this.bullet._touchMeta();
+      if (clock) {
+        this.vectorClocks.set(metaPath, clock);
+      } else {
+        this.vectorClocks.delete(metaPath);
+      }
+
+      if (meta && meta.deleted) {
+        this._indexTombstone(metaPath);
+      } else {
+        this._unindexTombstone(metaPath);
+      }
+      if (this.bullet.expiry) {
+        this.bullet.expiry.track(
+          metaPath,
+          (meta && !meta.deleted && meta.expiresAt) || null
+        );
+      }
+    }
+  }
+
+  /**
+   * List the paths whose metadata a write to a path can change
+   * @param {string} path - Data path
+   * @returns {Array<string>} The path, its ancestors, the descendants in
+   *   its value and its tombstoned descendants
+   * @private
+   */
+  _affectedPaths(path) {
+    const parts = path.split("/").filter(Boolean);
+    const paths = parts.map((_, i) => parts.slice(0, i + 1).join("/"));
+
+    for (const relPath of this._descendantPaths(this._lookup(path))) {
+      paths.push(`${path}/${relPath}`);
+    }
+    return paths.concat(this._tombstonesBelow(path));
+  }
+
+  /**
+   * Add a path to the tombstone index
+   * @param {string} path - Tombstoned path
+   * @private
+   */
+  _indexTombstone(path) {
+    let node = this.tombstoneIndex;
+
+    for (const key of path.split("/").filter(Boolean)) {
+      if (!node.children.has(key)) {
+        node.children.set(key, {
+          path: node.path ? `${node.path}/${key}` : key,
+          tombstone: false,
+          children: new Map(),
+        });
+      }
+      node = node.children.get(key);
+    }
+
+    node.tombstone = true;
+    this.tombstones.add(path);
+  }
+
+  /**
+   * Remove a path from the tombstone index, pruning branches left empty
+   * @param {string} path - Path that no longer holds a tombstone
+   * @private
+   */
+  _unindexTombstone(path) {
+    if (!this.tombstones.delete(path)) return;
+
+    const trail = [this.tombstoneIndex];
+    for (const key of path.split("/").filter(Boolean)) {
+      const node = trail[trail.length - 1].children.get(key);
+      if (!node) return;
+      trail.push(node);
+    }
+
+    trail[trail.length - 1].tombstone = false;
+    for (let i = trail.length - 1; i > 0; i--) {
+      const node = trail[i];
+      if (node.tombstone || node.children.size > 0) break;
+      trail[i - 1].children.delete(node.path.split("/").pop());
+    }
+  }
+
+  /**
+   * List the tombstones below a path
+   * @param {string} path - Data path
+   * @returns {Array<string>} Tombstoned descendant paths
+   * @private
+   */
+  _tombstonesBelow(path) {
+    let node = this.tombstoneIndex;
+    for (const key of path.split("/").filter(Boolean)) {
+      node = node.children.get(key);
+      if (!node) return [];
+    }
+
+    const paths = [];
+    const stack = [...node.children.values()];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current.tombstone) paths.push(current.path);
+      stack.push(...current.children.values());
+    }
+    return paths;
+  }
+
+  /**
+   * List the tombstones on a path and its ancestors
+   * @param {string} path - Data path
+   * @returns {Array<string>} Tombstoned paths
+   * @private
+   */
+  _tombstonesAbove(path) {
+    const paths = [];
+    let node = this.tombstoneIndex;
+
+    for (const key of path.split("/").filter(Boolean)) {
+      node = node.children.get(key);
+      if (!node) break;
+      if (node.tombstone) paths.push(node.path);
+    }
+    return paths;
+  }
+
+  /**
+   * Get the clock an incoming write to a path is compared against: the
+   * tombstone's clock, or the merged clock of everything under the path
+   * @param {string} path - Data path
+   * @returns {Object|null} Vector clock
+   */
+  getPathClock(path) {
+    const meta = this.bullet.meta[path] || {};
+    return meta.deleted
+      ? meta.vectorClock
+      : this.getSubtreeClock(path, this._lookup(path));
+  }
+
+  /**
+   * Count a write of this node that is about to be broadcast
+   * @returns {Object} Copy of the causal clock including the write
+   */
+  tickCausalClock() {
+    const id = this.bullet.id;
+    this.causalClock[id] = (this.causalClock[id] || 0) + 1;
+    return { ...this.causalClock };
+  }
+
+  /**
+   * Record that the writes counted in a causal clock have been applied
+   * @param {Object} clock - Causal clock of an applied write or a sync
+   */
+  mergeCausalClock(clock) {
+    if (!clock || typeof clock !== "object") return;
+
+    for (const [node, value] of Object.entries(clock)) {
+      if (typeof value === "number" && value > (this.causalClock[node] || 0)) {
+        this.causalClock[node] = value;
+      }
+    }
+  }
+
+  /**
+   * Find a write that an incoming write depends on but has not been
+   * applied here. The write depends on its origin's previous write and on
+   * everything its origin had applied from other peers
+   * @param {string} origin - Peer that made the write
+   * @param {Object} clock - Causal clock the write was sent with
+   * @returns {Object|null} { node, count }: the count of writes from node
+   *   still to reach, or null if the write can be applied
+   */
+  missingDependency(origin, clock) {
+    for (const [node, value] of Object.entries(clock || {})) {
+      // Retired peers have no writes left that anyone is missing
+      if (node === RETIRED_KEY || this.retiredPeers.has(node)) continue;
+
+      const count = node === origin ? value - 1 : value;
+      if (count > (this.causalClock[node] || 0)) {
+        return { node, count };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether we have applied every write an incoming write depends
+   * on, from any peer and to any path
+   * @param {string} origin - Peer that made the write
+   * @param {Object} clock - Causal clock the write was sent with
+   * @returns {boolean} Whether the write can be applied in causal order
+   */
+  isCausallyReady(origin, clock) {
+    return this.missingDependency(origin, clock) === null;
+  }
+
+  /**
+   * Fold the entries of retired peers into a single summary entry. The
+   * summary takes the highest folded counter, which commutes with merging
+   * clocks, so a clock that dominated another still does once both are
+   * compacted. Peers are only retired once every peer holds the same
+   * entries for them, so no two live clocks differ in what gets folded
+   * @param {Object} clock - Vector clock
+   * @returns {Object} Compacted clock
+   */
+  compactClock(clock) {
+    if (!clock || this.retiredPeers.size === 0) return clock;
+    if (!Object.keys(clock).some((node) => this.retiredPeers.has(node))) {
+      return clock;
+    }
+
+    const compacted = {};
+    for (const [node, value] of Object.entries(clock)) {
+      if (this.retiredPeers.has(node) || node === RETIRED_KEY) {
+        compacted[RETIRED_KEY] = Math.max(compacted[RETIRED_KEY] || 0, value);
+      } else {
+        compacted[node] = value;
+      }
+    }
+    return compacted;
+  }
+
+  /**
+   * Retire peers that will not write again and compact every stored clock.
+   * All peers must retire the same set, so callers share it with the
+   * network
+   * @param {Array<string>} peerIds - Peers to retire
+   * @returns {Array<string>} Peers that were not retired before
+   */
+  retirePeers(peerIds) {
+    const retired = peerIds.filter(
+      (peerId) =>
+        peerId !== this.bullet.id &&
+        peerId !== RETIRED_KEY &&
+        !this.retiredPeers.has(peerId)
+    );
+    if (retired.length === 0) return retired;
+
+    for (const peerId of retired) {
+      this.retiredPeers.add(peerId);
+      this.peerActivity.delete(peerId);
+    }
+
+    for (const [path, clock] of this.vectorClocks) {
+      this.vectorClocks.set(path, this.compactClock(clock));
+    }
+    for (const meta of Object.values(this.bullet.meta)) {
+      meta.vectorClock = this.compactClock(meta.vectorClock);
+      if (meta.siblings) {
+        meta.siblings = meta.siblings.map((sibling) => ({
+          ...sibling,
+          vectorClock: this.compactClock(sibling.vectorClock),
+        }));
+      }
+    }
+    this.bullet._touchMeta();
+
+    // Retired peers will never acknowledge tombstones
+    const network = this.bullet.network;
+    if (network && network.knownPeers) {
+      for (const peerId of retired) {
+        network.knownPeers.delete(peerId);
+      }
+    }
+    this.collectTombstones();
+
+    if (this.bullet.middleware) {
+      this.bullet.middleware.emitEvent("clocks:compacted", {
+        retired,
+        stats: this.getClockStats(),
+      });
+    }
+
+    return retired;
+  }
+
+  /**
+   * Collect the clock entries stored for a peer, which tell the writes we
+   * have seen from it
+   * @param {string} peerId - Peer ID
+   * @returns {Object} Path to the peer's counter in the path's clock
+   */
+  getPeerEntries(peerId) {
+    const entries = {};
+    for (const [path, meta] of Object.entries(this.bullet.meta)) {
+      if (meta.vectorClock && meta.vectorClock[peerId]) {
+        entries[path] = meta.vectorClock[peerId];
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Check whether we hold exactly the clock entries another peer holds for
+   * a peer, so we have seen the same writes from it
+   * @param {string} peerId - Peer ID
+   * @param {Object} entries - The other peer's getPeerEntries(peerId)
+   * @returns {boolean} Whether the entries match ours
+   */
+  hasSeenEntries(peerId, entries) {
+    if (!entries || typeof entries !== "object") return false;
+
+    const own = this.getPeerEntries(peerId);
+    const paths = Object.keys(entries);
+    return (
+      paths.length === Object.keys(own).length &&
+      paths.every((path) => own[path] === entries[path])
+    );
+  }
+
+  /**
+   * Find peers that appear in stored clocks but have been silent for a
+   * while. Peers we have not heard from since start-up get their idle
+   * time counted from now
+   * @param {number} idleTime - Milliseconds without writes or a connection
+   * @returns {Array<string>} Peers that can be retired
+   */
+  findRetiredPeers(idleTime) {
+    const now = Date.now();
+    const connected = this.bullet.network
+      ? this.bullet.network.peers
+      : new Map();
+    const candidates = [];
+
+    for (const peerId of Object.keys(this.getClockStats().peers)) {
+      if (peerId === this.bullet.id || peerId === RETIRED_KEY) continue;
+
+      if (connected.has(peerId) || !this.peerActivity.has(peerId)) {
+        this.peerActivity.set(peerId, now);
+      } else if (now - this.peerActivity.get(peerId) >= idleTime) {
+        candidates.push(peerId);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Measure the vector clocks stored in metadata
+   * @returns {Object} Clock count, entry counts, size in bytes, how many
+   *   clocks mention each peer and the retired peers
+   */
+  getClockStats() {
+    const stats = {
+      clocks: 0,
+      entries: 0,
+      averageEntries: 0,
+      maxEntries: 0,
+      largestPath: null,
+      bytes: 0,
+      peers: {},
+      retired: [...this.retiredPeers],
+    };
+
+    for (const [path, meta] of Object.entries(this.bullet.meta)) {
+      if (!meta.vectorClock) continue;
+
+      const nodes = Object.keys(meta.vectorClock);
+      stats.clocks++;
+      stats.entries += nodes.length;
+      stats.bytes += JSON.stringify(meta.vectorClock).length;
+      if (nodes.length > stats.maxEntries) {
+        stats.maxEntries = nodes.length;
+        stats.largestPath = path;
+      }
+      for (const node of nodes) {
+        stats.peers[node] = (stats.peers[node] || 0) + 1;
+      }
+    }
+
+    if (stats.clocks > 0) {
+      stats.averageEntries = stats.entries / stats.clocks;
+    }
+    return stats;
+  }
+
+  /**
+   * Compact every clock in a map of field clocks
+   * @param {Object} fieldClocks - Field path to clock
+   * @returns {Object} Compacted field clocks
+   * @private
+   */
+  _compactFields(fieldClocks) {
+    const compacted = {};
+    for (const [field, clock] of Object.entries(fieldClocks)) {
+      compacted[field] = this.compactClock(clock);
+    }
+    return compacted;
+  }
+
   /**
    * Convert vector clocks to a human-readable format for debugging
    * @param {Object} clock - Vector clock to format
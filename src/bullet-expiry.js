@@ -0,0 +1,141 @@
+/**
+ * BulletExpiry
+ * Deletes nodes once their time-to-live has passed. Expiry times are kept
+ * in meta[path].expiresAt, so they persist and replicate with the data.
+ * A single timer is armed for the earliest one, and expiring a node is an
+ * ordinary local delete, so the tombstone syncs like any other
+ */
+
+// Longest delay setTimeout accepts; later expiries re-arm the timer
+const MAX_DELAY = 2147483647;
+
+class BulletExpiry {
+  /**
+   * Create a new expiry scheduler, picking up expiries restored by storage
+   * @param {Object} bullet - The Bullet instance
+   */
+  constructor(bullet) {
+    this.bullet = bullet;
+
+    // Expiry time by path
+    this.expiries = new Map();
+    this.timeoutId = null;
+    this.nextAt = null;
+
+    for (const [path, meta] of Object.entries(bullet.meta)) {
+      if (meta && meta.expiresAt && !meta.deleted) {
+        this.expiries.set(path, meta.expiresAt);
+      }
+    }
+    this._schedule();
+  }
+
+  /**
+   * Set or clear the expiry of a path
+   * @param {string} path - Data path
+   * @param {number|null} expiresAt - Time to delete it at, or null for never
+   * @public
+   */
+  track(path, expiresAt) {
+    const previous = this.expiries.get(path);
+
+    if (expiresAt) {
+      this.expiries.set(path, expiresAt);
+    } else {
+      this.expiries.delete(path);
+    }
+
+    // Only a change to the earliest expiry moves the timer
+    if (
+      (expiresAt && (this.nextAt === null || expiresAt < this.nextAt)) ||
+      (previous !== undefined && previous === this.nextAt)
+    ) {
+      this._schedule();
+    }
+  }
+
+  /**
+   * Arm a timer for the earliest expiry
+   * @private
+   */
+  _schedule() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this.nextAt = null;
+    if (this.expiries.size === 0) return;
+
+    for (const expiresAt of this.expiries.values()) {
+      if (this.nextAt === null || expiresAt < this.nextAt) {
+        this.nextAt = expiresAt;
+      }
+    }
+
+    const delay = Math.min(Math.max(0, this.nextAt - Date.now()), MAX_DELAY);
+
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
+      this._expire();
+    }, delay);
+  }
+
+  /**
+   * Delete every path whose expiry has passed, in a single batch
+   * @private
+   */
+  _expire() {
+    const now = Date.now();
+    const expired = [];
+
+    for (const [path, expiresAt] of this.expiries) {
+      if (expiresAt <= now) expired.push({ path, expiresAt });
+    }
+
+    if (expired.length > 0) {
+      this.bullet._withOrigin("expire", null, () =>
+        this.bullet.batch(() => {
+          for (const { path, expiresAt } of expired) {
+            this.expiries.delete(path);
+            this._expirePath(path, expiresAt);
+          }
+        })
+      );
+    }
+
+    this._schedule();
+  }
+
+  /**
+   * Delete an expired path
+   * @param {string} path - Data path
+   * @param {number} expiresAt - Time it expired at
+   * @private
+   */
+  _expirePath(path, expiresAt) {
+    const meta = this.bullet.meta[path];
+
+    // A later write may have moved or cleared the expiry
+    if (!meta || meta.deleted || meta.expiresAt !== expiresAt) return;
+
+    this.bullet.setData(path, null);
+
+    if (this.bullet.middleware) {
+      this.bullet.middleware.emitEvent("expire", { path, expiresAt });
+    }
+  }
+
+  /**
+   * Stop the timer
+   * @public
+   */
+  close() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this.nextAt = null;
+  }
+}
+
+module.exports = BulletExpiry;
@@ -1,4 +1,5 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const crypto = require("crypto");
 const BulletStorage = require("./bullet-storage");
@@ -53,6 +54,7 @@ class BulletFileStorage extends BulletStorage {
         if (this._saveData) {
           this._saveData();
         }
+        this.releaseIdentity();
       } catch (err) {
         console.error("Error during exit save:", err);
       }
@@ -109,7 +111,7 @@ class BulletFileStorage extends BulletStorage {
 
         const parsedStore = JSON.parse(storeJson);
         this._deepMerge(this.bullet.store, parsedStore);
-        this.persisted.store = JSON.parse(JSON.stringify(this.bullet.store));
+        this.persisted.store = this.bullet.snapshot();
         loadedItems += Object.keys(parsedStore).length;
       }
 
@@ -120,7 +122,7 @@ class BulletFileStorage extends BulletStorage {
 
         const parsedMeta = JSON.parse(metaJson);
         Object.assign(this.bullet.meta, parsedMeta);
-        this.persisted.meta = JSON.parse(JSON.stringify(this.bullet.meta));
+        this.bullet._metaChanged = false;
         loadedItems += Object.keys(parsedMeta).length;
       }
 
@@ -140,6 +142,19 @@ class BulletFileStorage extends BulletStorage {
         loadedItems += parsedLog.length;
       }
 
+      const historyPath = path.join(this.options.path, "history.json");
+      if (fs.existsSync(historyPath)) {
+        const historyData = fs.readFileSync(historyPath);
+        const historyJson = this._decrypt(historyData);
+
+        const parsedHistory = JSON.parse(historyJson);
+        Object.assign(this.bullet.versions, parsedHistory);
+        this.persisted.versions = JSON.parse(
+          JSON.stringify(this.bullet.versions)
+        );
+        loadedItems += Object.keys(parsedHistory).length;
+      }
+
       if (this.options.enableStorageLog) {
         console.log("Bullet: Data loaded from file storage");
       }
@@ -174,7 +189,10 @@ class BulletFileStorage extends BulletStorage {
           this.bullet.middleware.emitEvent("storage:save:start");
         }
 
-        const storeJson = JSON.stringify(this.bullet.store);
+        // A snapshot shares unchanged objects instead of copying them, and
+        // lets the next save compare only what was written since
+        const store = this.bullet.snapshot();
+        const storeJson = JSON.stringify(store);
         const storeData = this._encrypt(storeJson);
         fs.writeFileSync(path.join(this.options.path, "store.json"), storeData);
 
@@ -186,9 +204,19 @@ class BulletFileStorage extends BulletStorage {
         const logData = this._encrypt(logJson);
         fs.writeFileSync(path.join(this.options.path, "log.json"), logData);
 
-        this.persisted.store = JSON.parse(JSON.stringify(this.bullet.store));
-        this.persisted.meta = JSON.parse(JSON.stringify(this.bullet.meta));
+        const historyJson = JSON.stringify(this.bullet.versions);
+        const historyData = this._encrypt(historyJson);
+        fs.writeFileSync(
+          path.join(this.options.path, "history.json"),
+          historyData
+        );
+
+        this.persisted.store = store;
+        this.bullet._metaChanged = false;
         this.persisted.log = [...this.bullet.log];
+        this.persisted.versions = JSON.parse(
+          JSON.stringify(this.bullet.versions)
+        );
 
         if (this.options.enableStorageLog) {
           console.log("Bullet: Data persisted to file storage");
@@ -198,6 +226,11 @@ class BulletFileStorage extends BulletStorage {
           this.bullet.middleware.emitEvent("storage:save:complete");
         }
       }
+
+      // Cursors are written after the data they describe, so a restart
+      // never skips entries that were synced but not saved
+      this._saveSyncCursors();
+      this._saveKnownPeers();
     } catch (err) {
       console.error("Error saving data:", err);
 
@@ -209,6 +242,232 @@ class BulletFileStorage extends BulletStorage {
     return Promise.resolve();
   }
 
+  /**
+   * Write the sync cursor of each peer to sync.json if they changed
+   * @private
+   */
+  _saveSyncCursors() {
+    const sync = this.bullet.network && this.bullet.network.sync;
+    if (!sync) return;
+
+    const cursorsJson = JSON.stringify(sync.getSyncCursors());
+    if (cursorsJson === this.persisted.syncCursors) return;
+
+    fs.writeFileSync(
+      path.join(this.options.path, "sync.json"),
+      this._encrypt(cursorsJson)
+    );
+    this.persisted.syncCursors = cursorsJson;
+  }
+
+  /**
+   * Load the sync cursor of each peer from sync.json. Cursors describe the
+   * data in store.json, so they are ignored without it
+   * @return {Object} - Cursor by peer ID
+   * @public
+   * @override
+   */
+  loadSyncCursors() {
+    const cursorsPath = path.join(this.options.path, "sync.json");
+    const storePath = path.join(this.options.path, "store.json");
+
+    try {
+      if (fs.existsSync(cursorsPath) && fs.existsSync(storePath)) {
+        const cursorsJson = this._decrypt(fs.readFileSync(cursorsPath));
+        const cursors = JSON.parse(cursorsJson);
+        if (cursors && typeof cursors === "object") {
+          this.persisted.syncCursors = cursorsJson;
+          return cursors;
+        }
+      }
+    } catch (err) {
+      console.error("Error loading sync cursors:", err);
+    }
+
+    return {};
+  }
+
+  /**
+   * Write the peers this node has ever connected to to peers.json if they
+   * changed
+   * @private
+   */
+  _saveKnownPeers() {
+    const network = this.bullet.network;
+    if (!network) return;
+
+    const peersJson = JSON.stringify([...network.knownPeers]);
+    if (peersJson === this.persisted.knownPeers) return;
+
+    fs.writeFileSync(
+      path.join(this.options.path, "peers.json"),
+      this._encrypt(peersJson)
+    );
+    this.persisted.knownPeers = peersJson;
+  }
+
+  /**
+   * Load the peers this node has ever connected to from peers.json, so
+   * tombstones are not collected before peers from earlier runs have them
+   * @return {Array<string>} - Peer IDs
+   * @public
+   * @override
+   */
+  loadKnownPeers() {
+    const peersPath = path.join(this.options.path, "peers.json");
+
+    try {
+      if (fs.existsSync(peersPath)) {
+        const peersJson = this._decrypt(fs.readFileSync(peersPath));
+        const peers = JSON.parse(peersJson);
+        if (Array.isArray(peers)) {
+          this.persisted.knownPeers = peersJson;
+          return peers;
+        }
+      }
+    } catch (err) {
+      console.error("Error loading known peers:", err);
+    }
+
+    return [];
+  }
+
+  /**
+   * Load the node identity from identity.json
+   * @return {string|null} - Persisted ID, or null if none
+   * @public
+   * @override
+   */
+  loadIdentity() {
+    const identityPath = path.join(this.options.path, "identity.json");
+
+    try {
+      if (fs.existsSync(identityPath)) {
+        const identity = JSON.parse(
+          this._decrypt(fs.readFileSync(identityPath))
+        );
+        return typeof identity.id === "string" ? identity.id : null;
+      }
+    } catch (err) {
+      console.error("Error loading node identity:", err);
+    }
+
+    return null;
+  }
+
+  /**
+   * Write a generated node identity to identity.json
+   * @param {string} id - Node ID
+   * @public
+   * @override
+   */
+  saveIdentity(id) {
+    try {
+      fs.writeFileSync(
+        path.join(this.options.path, "identity.json"),
+        this._encrypt(JSON.stringify({ id, createdAt: Date.now() }))
+      );
+    } catch (err) {
+      console.error("Error saving node identity:", err);
+    }
+  }
+
+  /**
+   * Claim the node identity with a lock file. A lock left by another live
+   * process means two processes share the identity, which corrupts vector
+   * clocks, so we warn about it
+   * @param {string} id - Node ID
+   * @param {string} instanceId - ID of this process's Bullet instance
+   * @public
+   * @override
+   */
+  claimIdentity(id, instanceId) {
+    const lockPath = path.join(this.options.path, "identity.lock");
+
+    try {
+      if (fs.existsSync(lockPath)) {
+        const lock = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+        if (lock.id === id && this._isLockHeld(lock, instanceId)) {
+          console.warn(
+            `Bullet: node identity ${id} is already in use by process ${lock.pid} on ${lock.hostname}. ` +
+              "If the storage directory was copied, give each copy its own 'id' or remove identity.json"
+          );
+
+          if (this.bullet.middleware) {
+            this.bullet.middleware.emitEvent("identity:clone", {
+              id,
+              source: "storage",
+              pid: lock.pid,
+              hostname: lock.hostname,
+            });
+          }
+        }
+      }
+
+      fs.writeFileSync(
+        lockPath,
+        JSON.stringify({
+          id,
+          instanceId,
+          pid: process.pid,
+          hostname: os.hostname(),
+          startedAt: Date.now(),
+        })
+      );
+      this.identityLock = { lockPath, instanceId };
+    } catch (err) {
+      console.error("Error claiming node identity:", err);
+    }
+  }
+
+  /**
+   * Remove our identity lock, unless another process has taken it over
+   * @public
+   * @override
+   */
+  releaseIdentity() {
+    if (!this.identityLock) return;
+
+    const { lockPath, instanceId } = this.identityLock;
+    this.identityLock = null;
+
+    try {
+      const lock = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+      if (lock.instanceId === instanceId) {
+        fs.unlinkSync(lockPath);
+      }
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Check whether the process holding an identity lock may still run
+   * @param {Object} lock - Lock file contents
+   * @param {string} instanceId - ID of this process's Bullet instance
+   * @return {boolean} - Whether the lock looks held
+   * @private
+   */
+  _isLockHeld(lock, instanceId) {
+    // We cannot probe processes on other hosts, so assume they run
+    if (lock.hostname !== os.hostname()) {
+      return true;
+    }
+    // Instances release their lock on close, so one left behind in this
+    // process belongs to an instance that is still open
+    if (lock.pid === process.pid) {
+      return lock.instanceId !== instanceId;
+    }
+
+    try {
+      process.kill(lock.pid, 0);
+      return true;
+    } catch (err) {
+      // EPERM means the process exists but belongs to someone else
+      return err.code === "EPERM";
+    }
+  }
+
   /**
    * Encrypt data if encryption is enabled
    * @param {string} data - Data to encrypt
@@ -300,6 +559,7 @@ class BulletFileStorage extends BulletStorage {
     }
 
     this._saveData();
+    this.releaseIdentity();
 
     if (this.options.enableStorageLog) {
       console.log("Bullet: File storage closed");
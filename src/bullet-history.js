@@ -0,0 +1,520 @@
+/**
+ * BulletHistory - Version history of every path
+ * Each write records a copy of the value it left at the written path in
+ * bullet.versions, which storage providers persist next to meta. The value
+ * of any node at a point in time is rebuilt from the versions of the node,
+ * its ancestors and its descendants.
+ * When retention drops the oldest versions of a path, a { version,
+ * timestamp, trimmed: true } marker takes their place. Until the part of a
+ * node they wrote is written whole again, the node's value is unknown
+ */
+
+// Longest delay setInterval accepts
+const MAX_DELAY = 2147483647;
+class BulletHistory {
+  /**
+   * Create a new history recorder
+   * @param {Object} bullet - The Bullet instance
+   * @param {Object} options - Default retention
+   * @param {number} [options.limit=0] - Versions kept per path, 0 for none
+   * @param {number} [options.maxAge=null] - Milliseconds versions are kept
+   */
+  constructor(bullet, options = {}) {
+    this.bullet = bullet;
+    this.options = {
+      limit: 0,
+      maxAge: null,
+      ...options,
+    };
+
+    // Retention by path, overriding the defaults for their subtrees
+    this.rules = new Map();
+
+    // Tree of path segments, marking the paths that have versions
+    this.index = { path: "", versioned: false, children: new Map() };
+
+    // Versions are numbered across all paths, so they order every write
+    this.version = 0;
+    for (const [path, versions] of Object.entries(bullet.versions)) {
+      this._indexPath(path);
+      for (const entry of versions) {
+        this.version = Math.max(this.version, entry.version);
+      }
+    }
+
+    this.pruneInterval = null;
+    this._schedulePrune();
+  }
+
+  /**
+   * Set how many versions are kept for a path and its descendants
+   * @param {string} path - Data path
+   * @param {Object} options - Retention
+   * @param {number} [options.limit] - Versions kept per path, 0 for none
+   * @param {number} [options.maxAge] - Milliseconds versions are kept
+   * @public
+   */
+  retain(path, options = {}) {
+    this.rules.set(this._normalize(path), options);
+    this._schedulePrune();
+  }
+
+  /**
+   * Record the value a write left at a path
+   * @param {string} path - Written path
+   * @param {*} value - Value stored, null for a delete
+   * @param {Object} details - { origin, peerId } of the write
+   * @public
+   */
+  record(path, value, details = {}) {
+    if (this._retention(path).limit === 0) return;
+
+    const versions = this.bullet.versions[path] || [];
+    versions.push({
+      version: ++this.version,
+      timestamp: Date.now(),
+      // Later writes below the path change stored objects in place
+      value: value === null ? null : JSON.parse(JSON.stringify(value)),
+      origin: details.origin || "local",
+      peerId: details.peerId || null,
+    });
+
+    this.bullet.versions[path] = versions;
+    this._indexPath(path);
+    this._trim(path);
+  }
+
+  /**
+   * Drop the versions of every path that are older than their maxAge,
+   * including paths that are no longer written
+   * @public
+   */
+  prune() {
+    for (const path of Object.keys(this.bullet.versions)) {
+      this._trim(path);
+    }
+  }
+
+  /**
+   * Stop pruning versions
+   * @public
+   */
+  close() {
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+  }
+
+  /**
+   * List the versions of a node, oldest first. Writes to ancestors and
+   * descendants create versions of the node too
+   * @param {string} path - Node path
+   * @return {Array<Object>} - { version, timestamp, path, value, origin,
+   *   peerId }, path being the path that was written
+   * @public
+   */
+  list(path) {
+    path = this._normalize(path);
+    const result = [];
+    let value;
+
+    for (const entry of this._collect(path)) {
+      value = this._apply(value, path, entry);
+      if (!entry.known) continue;
+      result.push({
+        version: entry.version,
+        timestamp: entry.timestamp,
+        path: entry.path,
+        value: value === undefined ? null : value,
+        origin: entry.origin,
+        peerId: entry.peerId,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the value a node had at a point in time
+   * @param {string} path - Node path
+   * @param {number|Date} timestamp - Point in time
+   * @return {*} - Value, or undefined if the node did not exist or its
+   *   history from then is no longer kept
+   * @public
+   */
+  at(path, timestamp) {
+    const time = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+    return this._replay(path, (entry) => entry.timestamp <= time);
+  }
+
+  /**
+   * Get the value a node had after a version was written
+   * @param {string} path - Node path
+   * @param {number} version - Version number from list()
+   * @return {*} - Value, or undefined if the node did not exist
+   * @public
+   */
+  valueAt(path, version) {
+    return this._replay(path, (entry) => entry.version <= version);
+  }
+
+  /**
+   * Copy the versions of a path and its descendants for export
+   * @param {string} path - Root path
+   * @return {Object} - Versions by path, relative to the root path
+   * @public
+   */
+  export(path) {
+    path = this._normalize(path);
+    const result = {};
+
+    for (const versionPath of this._subtree(this._find(path))) {
+      const relative = this._relative(path, versionPath);
+      result[relative.join("/")] = this.bullet.versions[versionPath].map(
+        (entry) => ({ ...entry })
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Add exported versions below a path. They are renumbered after the
+   * local ones, keeping their order
+   * @param {string} path - Root path to import into
+   * @param {Object} exported - Versions by relative path, from export()
+   * @public
+   */
+  import(path, exported) {
+    path = this._normalize(path);
+    const entries = [];
+
+    for (const [relative, versions] of Object.entries(exported || {})) {
+      const target = [path, relative].filter(Boolean).join("/");
+      for (const entry of versions) {
+        entries.push({ target, entry });
+      }
+    }
+
+    entries.sort((a, b) => a.entry.version - b.entry.version);
+    for (const { target, entry } of entries) {
+      // Versions older than an exported marker are unknown to the exporter
+      // too, so the marker replaces them
+      const versions = entry.trimmed ? [] : this.bullet.versions[target] || [];
+      versions.push({ ...entry, version: ++this.version });
+      this.bullet.versions[target] = versions;
+      this._indexPath(target);
+    }
+  }
+
+  /**
+   * Rebuild the value of a node from the versions matching a condition
+   * @param {string} path - Node path
+   * @param {Function} until - Function(entry) telling whether to apply it
+   * @return {*} - Value, or undefined if the node did not exist
+   * @private
+   */
+  _replay(path, until) {
+    path = this._normalize(path);
+    let value;
+    let known = false;
+
+    for (const entry of this._collect(path)) {
+      if (!until(entry)) break;
+      value = this._apply(value, path, entry);
+      known = entry.known;
+    }
+
+    return known ? value : undefined;
+  }
+
+  /**
+   * Collect the versions that changed a node, in the order they were made,
+   * dropping those older than their retention first
+   * @param {string} path - Node path
+   * @return {Array<Object>} - Versions, each with the path it was written to
+   *   and whether the value of the node is known after it
+   * @private
+   */
+  _collect(path) {
+    const entries = [];
+    let unknown = [];
+
+    for (const versionPath of this._related(path)) {
+      this._trim(versionPath);
+
+      // The part of the node a trimmed path wrote is unknown until it is
+      // written whole again
+      const part = versionPath.length > path.length ? versionPath : path;
+      for (const entry of this.bullet.versions[versionPath]) {
+        if (entry.trimmed) {
+          unknown.push({ version: entry.version, path: part });
+        } else {
+          entries.push({ ...entry, path: versionPath });
+        }
+      }
+    }
+
+    entries.sort((a, b) => a.version - b.version);
+    for (const entry of entries) {
+      if (unknown.length > 0) {
+        unknown = unknown.filter(
+          (marker) =>
+            marker.version > entry.version ||
+            this._relative(entry.path, marker.path) === null
+        );
+      }
+      entry.known = unknown.length === 0;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Drop the versions of a path beyond its retention, leaving a marker in
+   * their place
+   * @param {string} path - Written path
+   * @private
+   */
+  _trim(path) {
+    const versions = this.bullet.versions[path];
+    if (!versions) return;
+
+    const { limit, maxAge } = this._retention(path);
+    const start = versions[0] && versions[0].trimmed ? 1 : 0;
+    const count = versions.length - start;
+    let drop = limit > 0 ? Math.max(0, count - limit) : 0;
+
+    if (maxAge > 0) {
+      // The latest version is kept however old, it is the current value
+      const cutoff = Date.now() - maxAge;
+      while (drop < count - 1 && versions[start + drop].timestamp < cutoff) {
+        drop++;
+      }
+    }
+    if (drop === 0) return;
+
+    const last = versions[start + drop - 1];
+    versions.splice(0, start + drop, {
+      version: last.version,
+      timestamp: last.timestamp,
+      trimmed: true,
+    });
+  }
+
+  /**
+   * Prune versions regularly while any retention has a maxAge, so paths
+   * that are no longer written or read are pruned too
+   * @private
+   */
+  _schedulePrune() {
+    const ages = [this.options, ...this.rules.values()]
+      .map((rule) => rule.maxAge)
+      .filter((maxAge) => maxAge > 0);
+
+    this.close();
+    if (ages.length === 0) return;
+
+    this.pruneInterval = setInterval(
+      () => this.prune(),
+      Math.min(Math.min(...ages), MAX_DELAY)
+    );
+  }
+
+  /**
+   * Mark a path as having versions in the index
+   * @param {string} path - Written path
+   * @private
+   */
+  _indexPath(path) {
+    let node = this.index;
+
+    for (const key of path.split("/").filter(Boolean)) {
+      if (!node.children.has(key)) {
+        node.children.set(key, {
+          path: node.path ? `${node.path}/${key}` : key,
+          versioned: false,
+          children: new Map(),
+        });
+      }
+      node = node.children.get(key);
+    }
+
+    node.versioned = true;
+  }
+
+  /**
+   * Find the index entry of a path
+   * @param {string} path - Normalized path
+   * @return {Object|null} - Index entry, or null if nothing was written at
+   *   or below the path
+   * @private
+   */
+  _find(path) {
+    let node = this.index;
+
+    for (const key of path.split("/").filter(Boolean)) {
+      node = node.children.get(key);
+      if (!node) return null;
+    }
+
+    return node;
+  }
+
+  /**
+   * List the paths with versions at or below an index entry
+   * @param {Object|null} node - Index entry
+   * @return {Array<string>} - Paths
+   * @private
+   */
+  _subtree(node) {
+    const paths = [];
+    const stack = node ? [node] : [];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current.versioned && this.bullet.versions[current.path]) {
+        paths.push(current.path);
+      }
+      stack.push(...current.children.values());
+    }
+
+    return paths;
+  }
+
+  /**
+   * List the paths with versions that changed a node: the node itself, its
+   * ancestors and its descendants
+   * @param {string} path - Normalized path
+   * @return {Array<string>} - Paths
+   * @private
+   */
+  _related(path) {
+    const paths = [];
+    let node = this.index;
+
+    for (const key of path.split("/").filter(Boolean)) {
+      if (node.versioned && this.bullet.versions[node.path]) {
+        paths.push(node.path);
+      }
+      node = node.children.get(key);
+      if (!node) return paths;
+    }
+
+    return paths.concat(this._subtree(node));
+  }
+
+  /**
+   * Apply a version to the value of a node
+   * @param {*} value - Value of the node before the version
+   * @param {string} path - Node path
+   * @param {Object} entry - Version, with the path it was written to
+   * @return {*} - Value of the node after the version
+   * @private
+   */
+  _apply(value, path, entry) {
+    const inside = this._relative(entry.path, path);
+
+    if (inside !== null) {
+      // The node itself or an ancestor was written
+      let current = entry.value;
+      for (const key of inside) {
+        if (typeof current !== "object" || current === null) return undefined;
+        current = current[key];
+      }
+      return current === null || current === undefined
+        ? undefined
+        : this._clone(current);
+    }
+
+    // A descendant was written
+    const keys = this._relative(path, entry.path);
+    const root = this._isObject(value) ? this._clone(value) : {};
+    let node = root;
+
+    for (const key of keys.slice(0, -1)) {
+      if (!this._isObject(node[key])) node[key] = {};
+      node = node[key];
+    }
+
+    const key = keys[keys.length - 1];
+    if (entry.value === null) {
+      delete node[key];
+    } else {
+      node[key] = this._clone(entry.value);
+    }
+
+    return root;
+  }
+
+  /**
+   * Get the retention of a path from the closest rule above it
+   * @param {string} path - Data path
+   * @return {Object} - { limit, maxAge }
+   * @private
+   */
+  _retention(path) {
+    const parts = path.split("/").filter(Boolean);
+
+    for (let i = parts.length; i >= 0; i--) {
+      const rule = this.rules.get(parts.slice(0, i).join("/"));
+      if (rule) return { ...this.options, ...rule };
+    }
+
+    return this.options;
+  }
+
+  /**
+   * Get the keys leading from a path to one at or below it
+   * @param {string} path - Ancestor path
+   * @param {string} other - Path that may be at or below it
+   * @return {Array<string>|null} - Keys, or null if other is not below path
+   * @private
+   */
+  _relative(path, other) {
+    const parts = path.split("/").filter(Boolean);
+    const otherParts = other.split("/").filter(Boolean);
+
+    if (otherParts.length < parts.length) return null;
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] !== otherParts[i]) return null;
+    }
+
+    return otherParts.slice(parts.length);
+  }
+
+  /**
+   * Remove empty segments from a path
+   * @param {string} path - Data path
+   * @return {string} - Normalized path
+   * @private
+   */
+  _normalize(path) {
+    return path.split("/").filter(Boolean).join("/");
+  }
+
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - Value to check
+   * @return {boolean} - Whether it is an object but not an array
+   * @private
+   */
+  _isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Deep copy a value so callers cannot change recorded versions
+   * @param {*} value - Value to copy
+   * @return {*} - Copy
+   * @private
+   */
+  _clone(value) {
+    return typeof value === "object" && value !== null
+      ? JSON.parse(JSON.stringify(value))
+      : value;
+  }
+}
+
+module.exports = BulletHistory;
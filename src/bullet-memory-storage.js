@@ -51,6 +51,7 @@ class BulletMemoryStorage extends BulletStorage {
     this.persisted.store = {};
     this.persisted.meta = {};
     this.persisted.log = [];
+    this.persisted.versions = {};
 
     if (this.options.enableStorageLog) {
       console.log("Bullet: Memory storage initialized");
@@ -78,10 +79,15 @@ class BulletMemoryStorage extends BulletStorage {
       }
 
       try {
-        // Create deep copies of the data to avoid reference issues
-        this.persisted.store = JSON.parse(JSON.stringify(this.bullet.store));
+        // The store snapshot is immutable and shares unchanged objects;
+        // the rest is deep copied to avoid reference issues
+        this.persisted.store = this.bullet.snapshot();
         this.persisted.meta = JSON.parse(JSON.stringify(this.bullet.meta));
+        this.bullet._metaChanged = false;
         this.persisted.log = [...this.bullet.log];
+        this.persisted.versions = JSON.parse(
+          JSON.stringify(this.bullet.versions)
+        );
 
         if (this.options.enableStorageLog) {
           console.log("Bullet: Memory snapshot saved");
@@ -68,124 +68,161 @@ class BulletMiddleware {
     };
 
     this.bullet.setData = (path, data, broadcast = true) => {
-      let modifiedPath = path;
-      let modifiedData = data;
-      let shouldContinue = true;
-
-      for (const middleware of this.middleware.put) {
-        try {
-          const result = middleware(modifiedPath, modifiedData);
-
-          if (result === false) {
-            shouldContinue = false;
-            break;
-          } else if (result !== undefined && result !== null) {
-            if (
-              typeof result === "object" &&
-              "path" in result &&
-              "data" in result
-            ) {
-              modifiedPath = result.path;
-              modifiedData = result.data;
-            } else {
-              modifiedData = result;
-            }
-          }
-        } catch (error) {
-          console.error(`Error in 'put' middleware:`, error);
-          this.emitEvent("error", {
-            operation: "put",
-            path: modifiedPath,
-            data: modifiedData,
-            error,
-          });
-          shouldContinue = false;
-          break;
-        }
+      // Local CRDT operations carry the type's state, so hooks see the value
+      // the operation leaves instead. They can cancel or move the write, but
+      // the operation is written as it is
+      const operation = this._isCRDTOperation(data);
+      const write = this.runPutHooks(
+        path,
+        operation ? this.bullet.crt.materialize(path, data) : data
+      );
+
+      if (write) {
+        const oldData = originalGetData(write.path);
+
+        originalSetData(write.path, operation ? data : write.data, broadcast);
+
+        this.runAfterPutHooks(
+          write.path,
+          operation ? originalGetData(write.path) : write.data,
+          oldData
+        );
       }
 
-      if (shouldContinue) {
-        const oldData = originalGetData(modifiedPath);
+      return write !== null;
+    };
 
-        originalSetData(modifiedPath, modifiedData, broadcast);
+    this.bullet.middleware = this;
+  }
 
-        for (const middleware of this.middleware.afterPut) {
-          try {
-            middleware(modifiedPath, modifiedData, oldData);
-          } catch (error) {
-            console.error(`Error in 'afterPut' middleware:`, error);
-            this.emitEvent("error", {
-              operation: "afterPut",
-              path: modifiedPath,
-              data: modifiedData,
-              oldData,
-              error,
-            });
+  /**
+   * Run the put middleware for a write
+   * @param {string} path - Path being written
+   * @param {*} data - Data being written
+   * @return {Object|null} - The write ({ path, data }) as modified by the
+   *   middleware, or null if a middleware cancelled it
+   * @public
+   */
+  runPutHooks(path, data) {
+    let modifiedPath = path;
+    let modifiedData = data;
+
+    for (const middleware of this.middleware.put) {
+      try {
+        const result = middleware(modifiedPath, modifiedData);
+
+        if (result === false) {
+          return null;
+        } else if (result !== undefined && result !== null) {
+          if (
+            typeof result === "object" &&
+            "path" in result &&
+            "data" in result
+          ) {
+            modifiedPath = result.path;
+            modifiedData = result.data;
+          } else {
+            modifiedData = result;
           }
         }
-
-        this.emitEvent("write", {
+      } catch (error) {
+        console.error(`Error in 'put' middleware:`, error);
+        this.emitEvent("error", {
+          operation: "put",
           path: modifiedPath,
           data: modifiedData,
-          oldData,
+          error,
         });
+        return null;
       }
+    }
 
-      return shouldContinue;
-    };
-
-    if (!this.bullet.BulletNode.prototype.delete) {
-      this.bullet.BulletNode.prototype.delete = function () {
-        let shouldContinue = true;
-        const path = this.path;
+    return { path: modifiedPath, data: modifiedData };
+  }
 
-        for (const middleware of this.bullet.middleware.middleware.delete) {
-          try {
-            const result = middleware(path);
-            if (result === false) {
-              shouldContinue = false;
-              break;
-            }
-          } catch (error) {
-            console.error(`Error in 'delete' middleware:`, error);
-            this.bullet.middleware.emitEvent("error", {
-              operation: "delete",
-              path,
-              error,
-            });
-            shouldContinue = false;
-            break;
-          }
-        }
+  /**
+   * Run the afterPut middleware and emit the write event for a write
+   * @param {string} path - Path written
+   * @param {*} data - Data written
+   * @param {*} oldData - Data before the write
+   * @public
+   */
+  runAfterPutHooks(path, data, oldData) {
+    for (const middleware of this.middleware.afterPut) {
+      try {
+        middleware(path, data, oldData);
+      } catch (error) {
+        console.error(`Error in 'afterPut' middleware:`, error);
+        this.emitEvent("error", {
+          operation: "afterPut",
+          path,
+          data,
+          oldData,
+          error,
+        });
+      }
+    }
 
-        if (shouldContinue) {
-          const oldData = this.bullet._getData(path);
-
-          this.bullet.setData(path, null);
-
-          for (const middleware of this.bullet.middleware.middleware
-            .afterDelete) {
-            try {
-              middleware(path, oldData);
-            } catch (error) {
-              console.error(`Error in 'afterDelete' middleware:`, error);
-              this.bullet.middleware.emitEvent("error", {
-                operation: "afterDelete",
-                path,
-                oldData,
-                error,
-              });
-            }
-          }
+    this.emitEvent("write", { path, data, oldData });
+  }
 
-          this.bullet.middleware.emitEvent("delete", { path, oldData });
-        }
+  /**
+   * Run the delete middleware for a node being deleted
+   * @param {string} path - Path being deleted
+   * @return {boolean} - Whether the delete may go ahead
+   * @public
+   */
+  runDeleteHooks(path) {
+    for (const middleware of this.middleware.delete) {
+      try {
+        if (middleware(path) === false) return false;
+      } catch (error) {
+        console.error(`Error in 'delete' middleware:`, error);
+        this.emitEvent("error", { operation: "delete", path, error });
+        return false;
+      }
+    }
+    return true;
+  }
 
-        return this;
-      };
+  /**
+   * Run the afterDelete middleware and emit the delete event for a node
+   * @param {string} path - Path deleted
+   * @param {*} oldData - Data before the delete
+   * @public
+   */
+  runAfterDeleteHooks(path, oldData) {
+    for (const middleware of this.middleware.afterDelete) {
+      try {
+        middleware(path, oldData);
+      } catch (error) {
+        console.error(`Error in 'afterDelete' middleware:`, error);
+        this.emitEvent("error", {
+          operation: "afterDelete",
+          path,
+          oldData,
+          error,
+        });
+      }
     }
 
-    this.bullet.middleware = this;
+    this.emitEvent("delete", { path, oldData });
+  }
+
+  /**
+   * Check whether data is a local CRDT operation rather than a value
+   * @param {*} data - Data being written
+   * @return {boolean} - Whether it carries CRDT state from this peer
+   * @private
+   */
+  _isCRDTOperation(data) {
+    return Boolean(
+      data &&
+        typeof data === "object" &&
+        data.__crdt &&
+        !data.__fromNetwork &&
+        this.bullet.crt
+    );
   }
 
   /**
@@ -284,6 +321,22 @@ class BulletMiddleware {
     return this;
   }
 
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} [listener] - Listener to remove, or all if omitted
+   * @return {BulletMiddleware} - This instance for chaining
+   * @public
+   */
+  off(event, listener) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = listener
+        ? this.eventListeners[event].filter((l) => l !== listener)
+        : [];
+    }
+    return this;
+  }
+
   /**
    * Emit an event
    * @param {string} event - Event name
@@ -27,6 +27,13 @@ class BulletNetworkSync {
     // Track sync state for each peer
     this.syncState = new Map();
 
+    // Cursors saved by storage, so after a restart a sync with a known peer
+    // resumes where the last one ended instead of starting over
+    this.savedCursors =
+      bullet.storage && typeof bullet.storage.loadSyncCursors === "function"
+        ? bullet.storage.loadSyncCursors()
+        : {};
+
     // Initialize sync tracking
     this._initSync();
   }
@@ -70,7 +77,7 @@ class BulletNetworkSync {
     });
 
     // Set up periodic syncs
-    setInterval(() => {
+    this.syncIntervalId = setInterval(() => {
       this._periodicSync();
     }, this.options.syncInterval);
   }
@@ -90,10 +97,11 @@ class BulletNetworkSync {
       return;
     }
 
+    // A partial sync fetches its paths whole, whatever the cursor says
     const syncRequest = {
       type: "sync-request",
       id: this._generateId(),
-      since: peerState.lastSyncTime || 0,
+      since: options.partial ? 0 : peerState.syncCursor || 0,
       partial: options.partial || false,
       paths: options.paths || [],
     };
@@ -102,6 +110,7 @@ class BulletNetworkSync {
 
     // Update peer sync state
     peerState.status = "requested";
+    peerState.partial = Boolean(options.partial);
     peerState.requestId = syncRequest.id;
     peerState.startTime = Date.now();
     peerState.attempts += 1;
@@ -116,6 +125,27 @@ class BulletNetworkSync {
     this.network.emit("sync:requested", { peerId, request: syncRequest });
   }
 
+  /**
+   * Request the full state of some paths from a peer. Paths requested
+   * while a sync with the peer is underway are fetched once it finishes
+   * @param {string} peerId - ID of the peer to fetch from
+   * @param {Array<string>} paths - Paths to fetch
+   * @public
+   */
+  requestPaths(peerId, paths) {
+    const peerState = this._getPeerSyncState(peerId);
+
+    if (
+      peerState.status === "requested" ||
+      peerState.status === "in-progress"
+    ) {
+      paths.forEach((path) => peerState.pendingPaths.add(path));
+      return;
+    }
+
+    this.requestSync(peerId, { partial: true, paths });
+  }
+
   /**
    * Handle an incoming sync request from a peer
    * @param {string} peerId - ID of the requesting peer
@@ -141,6 +171,10 @@ class BulletNetworkSync {
    * @private
    */
   _generateAndSendSyncData(peerId, requestId, since, partial, paths) {
+    // Take the timestamp from our own clock before collecting, the peer
+    // hands it back as 'since' on its next request
+    const timestamp = this.bullet.crt ? this.bullet.crt.now() : Date.now();
+
     // Prepare the data
     const entries = this._collectSyncData(since, partial, paths);
     const totalEntries = entries.length;
@@ -157,7 +191,12 @@ class BulletNetworkSync {
       requestId: requestId,
       totalChunks: chunks.length,
       totalEntries: totalEntries,
-      timestamp: Date.now(),
+      timestamp,
+      // Peers joining late learn which clock entries have been folded
+      retiredPeers: this.bullet.crt ? [...this.bullet.crt.retiredPeers] : [],
+      // The writes the entries include, so buffered updates that depend on
+      // them can be applied
+      causalClock: this.bullet.crt ? { ...this.bullet.crt.causalClock } : null,
     });
 
     // Send each chunk
@@ -205,7 +244,14 @@ class BulletNetworkSync {
    */
   _handleSyncResponse(peerId, message) {
     const peerState = this._getPeerSyncState(peerId);
-    const { requestId, totalChunks, totalEntries, timestamp } = message;
+    const {
+      requestId,
+      totalChunks,
+      totalEntries,
+      timestamp,
+      retiredPeers,
+      causalClock,
+    } = message;
 
     // Verify this is the response to our request
     if (peerState.requestId !== requestId) {
@@ -215,6 +261,13 @@ class BulletNetworkSync {
       return;
     }
 
+    // Fold retired peers before any of the entries' clocks are compared
+    if (this.bullet.crt && Array.isArray(retiredPeers)) {
+      this.bullet.crt.retirePeers(
+        this.network.confirmRetiredPeers(retiredPeers)
+      );
+    }
+
     // Clear timeout for the initial request
     if (peerState.timeoutId) {
       clearTimeout(peerState.timeoutId);
@@ -227,6 +280,7 @@ class BulletNetworkSync {
     peerState.totalEntries = totalEntries;
     peerState.receivedChunks = new Set();
     peerState.syncStartTime = timestamp;
+    peerState.causalClock = causalClock || null;
     peerState.lastActivity = Date.now();
 
     console.log(
@@ -401,6 +455,21 @@ class BulletNetworkSync {
     peerState.status = "complete";
     peerState.lastSyncTime = Date.now();
     peerState.lastSyncDuration = peerState.lastSyncTime - peerState.startTime;
+    // The cursor is in the peer's clock domain, so it stays valid even if
+    // our wall clock disagrees with theirs. A partial sync says nothing
+    // about the other paths, so it leaves the cursor alone
+    if (!peerState.partial) {
+      peerState.syncCursor = peerState.syncStartTime || 0;
+
+      // We now have every write the peer had applied, including our own
+      // from before a restart, so our next writes continue its count
+      if (this.bullet.crt && peerState.causalClock) {
+        this.bullet.crt.mergeCausalClock(peerState.causalClock);
+        if (this.network.causal) {
+          this.network.causal.drain();
+        }
+      }
+    }
     peerState.attempts = 0;
 
     console.log(
@@ -413,6 +482,12 @@ class BulletNetworkSync {
       duration: peerState.lastSyncDuration,
       entriesProcessed: peerState.totalEntries,
     });
+
+    if (peerState.pendingPaths.size > 0) {
+      const paths = [...peerState.pendingPaths];
+      peerState.pendingPaths.clear();
+      this.requestSync(peerId, { partial: true, paths });
+    }
   }
 
   /**
@@ -549,23 +624,70 @@ class BulletNetworkSync {
    * @private
    */
   _processSyncEntries(entries, peerId) {
+    this.bullet._withOrigin("sync", peerId, () =>
+      this._applySyncEntries(entries, peerId)
+    );
+
+    // Synced state may be what buffered updates were waiting for
+    if (this.network.causal) {
+      this.network.causal.drain();
+    }
+  }
+
+  /**
+   * Apply synced entries to the local database
+   * @param {Array} entries - Sync entries
+   * @param {string} peerId - Peer the entries came from
+   * @private
+   */
+  _applySyncEntries(entries, peerId) {
+    const deletedPaths = [];
+
     for (const entry of entries) {
-      const { path, data, vectorClock, deleted } = entry;
+      const { path, data, vectorClock, hlc, deleted } = entry;
 
       if (deleted) {
-        // Handle deleted entries
-        this.bullet.setData(path, null, false);
+        // Tombstones resolve against local state like any other write
+        this.bullet.setData(
+          path,
+          {
+            __deleted: true,
+            __fromNetwork: true,
+            __vectorClock: vectorClock,
+            __hlc: hlc,
+          },
+          false
+        );
+        deletedPaths.push(path);
       } else {
-        // Add network flags to the data
+        // Add network flags to the data, wrapping primitives and arrays so
+        // they carry their clock as well
         const networkData =
-          typeof data === "object" && data !== null
-            ? { ...data, __fromNetwork: true, __vectorClock: vectorClock }
-            : data;
+          typeof data === "object" && data !== null && !Array.isArray(data)
+            ? {
+                ...data,
+                __fromNetwork: true,
+                __vectorClock: vectorClock,
+                __fieldClocks: entry.fieldClocks,
+                __hlc: hlc,
+                __fieldStamps: entry.fieldStamps,
+                __expiresAt: entry.expiresAt,
+              }
+            : {
+                __value: data,
+                __fromNetwork: true,
+                __vectorClock: vectorClock,
+                __hlc: hlc,
+                __crdt: entry.crdt,
+                __expiresAt: entry.expiresAt,
+              };
 
         // Let the CRT algorithm resolve any conflicts
         this.bullet.setData(path, networkData, false);
       }
     }
+
+    this.network.sendTombstoneAck(peerId, deletedPaths);
   }
 
   /**
@@ -606,7 +728,10 @@ class BulletNetworkSync {
         entries.push({
           path: metaPath,
           data: obj,
-          vectorClock: meta.vectorClock || {},
+          vectorClock: this.bullet.crt.getSubtreeClock(metaPath, obj) || {},
+          hlc: this.bullet.crt.getSubtreeStamp(metaPath, obj),
+          crdt: meta.crdt,
+          expiresAt: meta.expiresAt,
           lastModified: meta.lastModified || 0,
           deleted: false,
         });
@@ -617,27 +742,37 @@ class BulletNetworkSync {
       for (const [key, value] of Object.entries(obj)) {
         const newPath = path + "/" + key;
 
-        if (
-          typeof value === "object" &&
-          value !== null &&
-          !Array.isArray(value)
-        ) {
+        const metaPath = newPath.substring(1); // Remove leading slash
+        const meta = this.bullet.meta[metaPath] || {};
+        const isObject =
+          typeof value === "object" && value !== null && !Array.isArray(value);
+
+        if (isObject && !meta.expiresAt) {
           // For nested objects, recursively traverse
           traverse(value, newPath);
         } else {
-          // For leaf nodes or arrays, add them directly
-          const metaPath = newPath.substring(1); // Remove leading slash
-          const meta = this.bullet.meta[metaPath] || {};
+          // For leaf nodes, arrays and expiring objects, add them directly
+          // so the expiry travels with the whole value
 
           // Skip entries that haven't changed since the 'since' timestamp
           if (since > 0 && meta.lastModified && meta.lastModified < since) {
             continue;
           }
 
+          // Leaves written as part of a parent object fall back to its clock
           entries.push({
             path: metaPath,
             data: value,
-            vectorClock: meta.vectorClock || {},
+            vectorClock: this.bullet.crt.getSubtreeClock(metaPath, value) || {},
+            fieldClocks: isObject
+              ? this.bullet.crt.getFieldClocks(metaPath, value)
+              : undefined,
+            hlc: this.bullet.crt.getSubtreeStamp(metaPath, value),
+            fieldStamps: isObject
+              ? this.bullet.crt.getFieldStamps(metaPath, value)
+              : undefined,
+            crdt: meta.crdt,
+            expiresAt: meta.expiresAt,
             lastModified: meta.lastModified || 0,
             deleted: false,
           });
@@ -654,6 +789,7 @@ class BulletNetworkSync {
           path,
           data: null,
           vectorClock: meta.vectorClock || {},
+          hlc: meta.hlc || null,
           lastModified: meta.lastModified || 0,
           deleted: true,
         });
@@ -674,27 +810,37 @@ class BulletNetworkSync {
     const entries = [];
 
     for (const path of paths) {
-      const data = this.bullet._getData(path);
       const meta = this.bullet.meta[path] || {};
+      const data = meta.deleted ? null : this.bullet._getData(path);
+
+      // Metadata outliving its value has nothing to sync
+      if (data === undefined) continue;
 
       // Skip entries that haven't changed since the 'since' timestamp
       if (since > 0 && meta.lastModified && meta.lastModified < since) {
         continue;
       }
 
-      if (data === null && meta.deleted) {
+      if (meta.deleted) {
         entries.push({
           path,
           data: null,
           vectorClock: meta.vectorClock || {},
+          hlc: meta.hlc || null,
           lastModified: meta.lastModified || 0,
           deleted: true,
         });
       } else {
+        // Nested fields may carry newer clocks than the path itself
         entries.push({
           path,
           data,
-          vectorClock: meta.vectorClock || {},
+          vectorClock: this.bullet.crt.getSubtreeClock(path, data) || {},
+          fieldClocks: this.bullet.crt.getFieldClocks(path, data),
+          hlc: this.bullet.crt.getSubtreeStamp(path, data),
+          fieldStamps: this.bullet.crt.getFieldStamps(path, data),
+          crdt: meta.crdt,
+          expiresAt: meta.expiresAt,
           lastModified: meta.lastModified || 0,
           deleted: false,
         });
@@ -763,12 +909,14 @@ class BulletNetworkSync {
       this.syncState.set(peerId, {
         status: "initial", // initial, requested, in-progress, complete, failed
         lastSyncTime: 0,
+        syncCursor: this.savedCursors[peerId] || 0,
         lastSyncDuration: 0,
         attempts: 0,
         requestId: null,
         totalChunks: 0,
         totalEntries: 0,
         receivedChunks: new Set(),
+        pendingPaths: new Set(),
         timeoutId: null,
         syncTimeoutId: null,
         startTime: 0,
@@ -779,6 +927,28 @@ class BulletNetworkSync {
     return this.syncState.get(peerId);
   }
 
+  /**
+   * Get the sync cursor of every peer, for storage to persist. Retired
+   * peers will not sync again, so their cursors are dropped
+   * @return {Object} - Cursor by peer ID
+   * @public
+   */
+  getSyncCursors() {
+    const retired = this.bullet.crt ? this.bullet.crt.retiredPeers : new Set();
+    const cursors = {};
+
+    for (const [peerId, cursor] of Object.entries(this.savedCursors)) {
+      if (!retired.has(peerId)) cursors[peerId] = cursor;
+    }
+    for (const [peerId, state] of this.syncState) {
+      if (state.syncCursor > 0 && !retired.has(peerId)) {
+        cursors[peerId] = state.syncCursor;
+      }
+    }
+
+    return cursors;
+  }
+
   /**
    * Generate a unique ID
    * @return {string} - Unique ID
@@ -865,6 +1035,8 @@ class BulletNetworkSync {
    * @public
    */
   close() {
+    clearInterval(this.syncIntervalId);
+
     // Clear all timeouts
     for (const [peerId, state] of this.syncState.entries()) {
       if (state.timeoutId) {
@@ -1,6 +1,7 @@
 const EventEmitter = require("events");
 const WebSocket = require("ws");
 const BulletNetworkSync = require("./bullet-network-sync.js");
+const BulletCausalBuffer = require("./bullet-causal-buffer.js");
 
 class BulletNetwork extends EventEmitter {
   constructor(bullet, options = {}) {
@@ -13,14 +14,38 @@ class BulletNetwork extends EventEmitter {
       maxTTL: 32,
       messageCacheSize: 10000,
       enableSync: true,
+      causalDelivery: false,
+      causalBufferSize: 1000,
+      causalMaxWait: 30 * 1000,
       connectionHandler: null,
       ...options,
     };
 
     this.localPeerId = this.bullet.id;
     this.peers = new Map();
+    // Every peer we have ever connected to, including in earlier runs
+    const storage = this.bullet.storage;
+    this.knownPeers = new Set(
+      storage && typeof storage.loadKnownPeers === "function"
+        ? storage.loadKnownPeers()
+        : []
+    );
     this.server = null;
     this.processedMessages = new Set();
+    // Writes waiting for peers to acknowledge them, by message ID
+    this.pendingAcks = new Map();
+    // Peer retirements waiting for every known peer to agree, by message ID
+    this.retireProposals = new Map();
+    // Peers we agreed to retire in other peers' proposals, by proposal ID
+    this.retireAgreements = new Map();
+
+    // Hold back updates whose causal dependencies have not arrived yet
+    if (this.options.causalDelivery) {
+      this.causal = new BulletCausalBuffer(bullet, this, {
+        maxSize: this.options.causalBufferSize,
+        maxWait: this.options.causalMaxWait,
+      });
+    }
 
     // Initialize sync manager if enabled
     if (this.options.enableSync) {
@@ -78,6 +103,7 @@ class BulletNetwork extends EventEmitter {
     }
 
     if (remotePeerId === this.localPeerId) {
+      this._warnIfClone(req.headers["x-peer-instance"]);
       console.warn("Rejecting connection from self");
       socket.close();
       return;
@@ -142,6 +168,7 @@ class BulletNetwork extends EventEmitter {
 
       const headers = {
         "x-peer-id": this.localPeerId,
+        "x-peer-instance": this.bullet.instanceId,
       };
 
       // Allow custom auth headers to be added
@@ -164,6 +191,7 @@ class BulletNetwork extends EventEmitter {
             type: "handshake",
             id: this._generateId(),
             peerId: this.localPeerId,
+            instanceId: this.bullet.instanceId,
           })
         );
 
@@ -184,6 +212,7 @@ class BulletNetwork extends EventEmitter {
               }
 
               if (remotePeerId === this.localPeerId) {
+                this._warnIfClone(data.instanceId);
                 console.warn("Connected to self, closing connection");
                 socket.close();
                 return;
@@ -217,6 +246,30 @@ class BulletNetwork extends EventEmitter {
     }
   }
 
+  /**
+   * Warn when a connection carrying our own node ID comes from another
+   * process, which means two processes share a persisted identity
+   * @param {string} remoteInstanceId - Instance ID sent by the remote side
+   * @private
+   */
+  _warnIfClone(remoteInstanceId) {
+    if (!remoteInstanceId || remoteInstanceId === this.bullet.instanceId) {
+      return;
+    }
+
+    console.warn(
+      `Another process is running with this node's ID (${this.localPeerId}). Give each process its own 'id' or storage directory`
+    );
+
+    if (this.bullet.middleware) {
+      this.bullet.middleware.emitEvent("identity:clone", {
+        id: this.localPeerId,
+        source: "network",
+        instanceId: remoteInstanceId,
+      });
+    }
+  }
+
   /**
    * Setup peer connection with consistent handling
    * @param {WebSocket} socket - WebSocket connection
@@ -235,6 +288,7 @@ class BulletNetwork extends EventEmitter {
     };
 
     this.peers.set(peerId, peerInfo);
+    this.knownPeers.add(peerId);
 
     socket.on("message", (message) => {
       try {
@@ -264,6 +318,7 @@ class BulletNetwork extends EventEmitter {
           type: "handshake-response",
           id: this._generateId(),
           peerId: this.localPeerId,
+          instanceId: this.bullet.instanceId,
         })
       );
     }
@@ -301,6 +356,15 @@ class BulletNetwork extends EventEmitter {
       }
     }
 
+    // A retired peer's entries are folded into the summary entry, so its
+    // new writes could not be ordered against anything
+    if (this.bullet.crt && this.bullet.crt.retiredPeers.has(peerId)) {
+      console.warn(
+        `Ignoring ${message.type} from retired peer ${peerId}, it must rejoin with a new ID`
+      );
+      return;
+    }
+
     // Emit message event for the sync manager to handle sync-related messages
     this.emit("message", peerId, message);
 
@@ -313,6 +377,31 @@ class BulletNetwork extends EventEmitter {
         this._handlePut(peerId, message);
         break;
 
+      case "tombstone-ack":
+        this._handleTombstoneAck(peerId, message);
+        break;
+
+      case "put-ack":
+        this._handlePutAck(peerId, message);
+        break;
+
+      case "transaction":
+      case "batch":
+        this._handleBatch(peerId, message);
+        break;
+
+      case "clock-retire-propose":
+        this._handleRetirePropose(peerId, message);
+        break;
+
+      case "clock-retire-ack":
+        this._handleRetireAck(peerId, message);
+        break;
+
+      case "clock-retire":
+        this._handleClockRetire(peerId, message);
+        break;
+
       // We don't need to handle sync messages directly here
       // They're processed by the BulletNetworkSync class through the "message" event
 
@@ -336,15 +425,432 @@ class BulletNetwork extends EventEmitter {
       return;
     }
 
+    if (this.causal) {
+      this.causal.receive(peerId, message);
+    } else {
+      this._applyPut(peerId, message);
+    }
+
+    this._relayMessage(message, peerId);
+  }
+
+  /**
+   * Apply a put from a peer to the local database
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _applyPut(peerId, message) {
+    const { path, data } = message;
+
+    if (this.bullet.crt) {
+      this.bullet.crt.mergeCausalClock(message.causalClock);
+    }
+
     const networkData =
-      typeof data === "object" && data !== null
+      typeof data === "object" && data !== null && !Array.isArray(data)
         ? { ...data, __fromNetwork: true }
         : data;
 
-    this.bullet.setData(path, networkData, false);
+    this.bullet._withOrigin("network", peerId, () =>
+      this.bullet.setData(path, networkData, false)
+    );
+
+    if (data && data.__deleted) {
+      this.sendTombstoneAck(peerId, [path]);
+    }
+    if (message.ack) {
+      this._sendPutAck(message.id);
+    }
+  }
+
+  /**
+   * Handle a transaction or batch of writes from a peer
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _handleBatch(peerId, message) {
+    if (message.ttl !== undefined && message.ttl <= 0) {
+      return;
+    }
+    if (!Array.isArray(message.ops)) return;
+
+    if (this.causal) {
+      this.causal.receive(peerId, message);
+    } else {
+      this._applyBatch(peerId, message);
+    }
+  }
+
+  /**
+   * Apply all writes of a transaction or batch from a peer, notifying
+   * listeners and updating indices once. A transaction is applied whole
+   * or, if middleware or validation rejects any of its writes, not at all.
+   * Only applied messages are relayed, so a rejected transaction does not
+   * reach peers through this one
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _applyBatch(peerId, message) {
+    // A rejected transaction counts as delivered too, or the writes made
+    // after it would wait for it forever
+    if (this.bullet.crt) {
+      this.bullet.crt.mergeCausalClock(message.causalClock);
+    }
+
+    const deletedPaths = message.ops
+      .filter(({ data }) => data && data.__deleted)
+      .map(({ path }) => path);
+
+    if (message.type === "transaction") {
+      try {
+        this.bullet._withOrigin("network", peerId, () =>
+          this.bullet._applyRemoteTransaction(message.ops)
+        );
+      } catch (err) {
+        if (!err.isTransactionError) throw err;
+        console.warn(`Rejected transaction from ${peerId}: ${err.message}`);
+        return;
+      }
+    } else {
+      this.bullet._withOrigin("network", peerId, () =>
+        this.bullet.batch(() => {
+          for (const { path, data } of message.ops) {
+            this.bullet.setData(path, { ...data, __fromNetwork: true }, false);
+          }
+        })
+      );
+    }
+
+    this.sendTombstoneAck(peerId, deletedPaths);
+    if (message.ack) {
+      this._sendPutAck(message.id);
+    }
+    this._relayMessage(message, peerId);
+  }
+
+  /**
+   * Tell a peer that we have applied its tombstones. The peer evidently
+   * holds them as well, which counts towards collecting our copies
+   * @param {string} peerId - Peer the tombstones came from
+   * @param {Array<string>} paths - Tombstoned paths
+   * @public
+   */
+  sendTombstoneAck(peerId, paths) {
+    if (!paths.length) return;
+
+    if (this.bullet.crt) {
+      paths.forEach((path) =>
+        this.bullet.crt.acknowledgeTombstone(path, peerId)
+      );
+    }
+
+    this.sendToPeer(peerId, {
+      type: "tombstone-ack",
+      id: this._generateId(),
+      paths,
+    });
+  }
+
+  /**
+   * Handle a tombstone acknowledgement from a peer
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _handleTombstoneAck(peerId, message) {
+    if (!this.bullet.crt || !Array.isArray(message.paths)) return;
+
+    for (const path of message.paths) {
+      this.bullet.crt.acknowledgeTombstone(path, peerId);
+    }
+  }
+
+  /**
+   * Wait until a number of peers have applied a write
+   * @param {string} messageId - ID of the message carrying the write
+   * @param {number} count - Number of peers to wait for
+   * @param {number} [timeout=10000] - Milliseconds to wait
+   * @return {Promise<Array<string>>} - IDs of the peers that applied it
+   * @public
+   */
+  waitForAcks(messageId, count, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const pending = { count, peers: new Set(), resolve, reject };
+
+      pending.timeoutId = setTimeout(() => {
+        this.pendingAcks.delete(messageId);
+        reject(
+          new Error(
+            `Write acknowledged by ${pending.peers.size} of ${count} peers within ${timeout}ms`
+          )
+        );
+      }, timeout);
+
+      this.pendingAcks.set(messageId, pending);
+    });
+  }
+
+  /**
+   * Tell every peer that we have applied a write that asked for it
+   * @param {string} messageId - ID of the message carrying the write
+   * @private
+   */
+  _sendPutAck(messageId) {
+    const message = {
+      id: this._generateId(),
+      type: "put-ack",
+      messageId,
+      peerId: this.bullet.id,
+      ttl: this.options.maxTTL,
+    };
+
+    this.processedMessages.add(message.id);
+
+    this.peers.forEach((_, peerId) => {
+      this.sendToPeer(peerId, message);
+    });
+  }
+
+  /**
+   * Handle a write acknowledgement, counting it if the write is ours and
+   * relaying it otherwise
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _handlePutAck(peerId, message) {
+    const pending = this.pendingAcks.get(message.messageId);
+    if (!pending) {
+      this._relayMessage(message, peerId);
+      return;
+    }
+
+    pending.peers.add(message.peerId || peerId);
+    if (pending.peers.size >= pending.count) {
+      clearTimeout(pending.timeoutId);
+      this.pendingAcks.delete(message.messageId);
+      pending.resolve([...pending.peers]);
+    }
+  }
+
+  /**
+   * Retire peers once every known peer has seen the same writes from them.
+   * Each known peer is sent the clock entries we hold for the peers and
+   * agrees to retire those it holds the same entries for and is not
+   * connected to. The peers all of them agree on are retired here and
+   * announced to the others
+   * @param {Array<string>} peerIds - Peers to retire
+   * @param {number} [timeout=10000] - Milliseconds to wait for every answer
+   * @return {Promise<Array<string>>} - Peers that were retired, none if a
+   *   known peer did not answer in time
+   * @public
+   */
+  proposeRetiredPeers(peerIds, timeout = 10000) {
+    const crt = this.bullet.crt;
+    const entries = {};
+    for (const peerId of peerIds) {
+      entries[peerId] = crt.getPeerEntries(peerId);
+    }
+
+    const message = {
+      id: this._generateId(),
+      type: "clock-retire-propose",
+      from: this.localPeerId,
+      entries,
+      ttl: this.options.maxTTL,
+    };
+    const proposal = {
+      // A peer we are still connected to has not gone away
+      candidates: new Set(peerIds.filter((peerId) => !this.peers.has(peerId))),
+      waiting: new Set(
+        [...this.knownPeers].filter(
+          (peerId) =>
+            peerId !== this.localPeerId &&
+            !peerIds.includes(peerId) &&
+            !crt.retiredPeers.has(peerId)
+        )
+      ),
+    };
+
+    return new Promise((resolve) => {
+      proposal.resolve = resolve;
+      this.retireProposals.set(message.id, proposal);
+
+      if (proposal.waiting.size === 0) {
+        this._finishRetireProposal(message.id);
+        return;
+      }
+
+      proposal.timeoutId = setTimeout(() => {
+        this.retireProposals.delete(message.id);
+        resolve([]);
+      }, timeout);
+
+      this.processedMessages.add(message.id);
+      this.peers.forEach((_, peerId) => {
+        this.sendToPeer(peerId, message);
+      });
+    });
+  }
+
+  /**
+   * Answer a proposal to retire peers with the ones we agree to retire
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _handleRetirePropose(peerId, message) {
+    const crt = this.bullet.crt;
+    if (!crt || !message.entries || typeof message.entries !== "object") {
+      return;
+    }
+
+    const agreed = Object.keys(message.entries).filter(
+      (candidate) =>
+        candidate !== this.localPeerId &&
+        !this.peers.has(candidate) &&
+        crt.hasSeenEntries(candidate, message.entries[candidate])
+    );
+    this.retireAgreements.set(message.id, new Set(agreed));
+    if (this.retireAgreements.size > this.options.messageCacheSize) {
+      this.retireAgreements.delete(this.retireAgreements.keys().next().value);
+    }
+
+    const reply = {
+      id: this._generateId(),
+      type: "clock-retire-ack",
+      proposalId: message.id,
+      to: message.from,
+      from: this.localPeerId,
+      peers: agreed,
+      ttl: this.options.maxTTL,
+    };
+
+    this.processedMessages.add(reply.id);
+    this.peers.forEach((_, id) => {
+      this.sendToPeer(id, reply);
+    });
     this._relayMessage(message, peerId);
   }
 
+  /**
+   * Count a peer's answer to our proposal to retire peers, relaying
+   * answers to other peers' proposals
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _handleRetireAck(peerId, message) {
+    if (message.to !== this.localPeerId) {
+      this._relayMessage(message, peerId);
+      return;
+    }
+
+    const proposal = this.retireProposals.get(message.proposalId);
+    if (!proposal || !proposal.waiting.has(message.from)) return;
+
+    const agreed = new Set(Array.isArray(message.peers) ? message.peers : []);
+    for (const candidate of proposal.candidates) {
+      if (!agreed.has(candidate)) proposal.candidates.delete(candidate);
+    }
+    proposal.waiting.delete(message.from);
+
+    if (proposal.waiting.size === 0) {
+      this._finishRetireProposal(message.proposalId);
+    }
+  }
+
+  /**
+   * Retire the peers every known peer agreed on and announce them
+   * @param {string} proposalId - ID of the proposal message
+   * @private
+   */
+  _finishRetireProposal(proposalId) {
+    const proposal = this.retireProposals.get(proposalId);
+    clearTimeout(proposal.timeoutId);
+    this.retireProposals.delete(proposalId);
+
+    const retired = this.bullet.crt.retirePeers([...proposal.candidates]);
+    if (retired.length > 0) {
+      this.broadcastRetiredPeers(retired, proposalId);
+    }
+    proposal.resolve(retired);
+  }
+
+  /**
+   * Tell every peer to fold the clock entries of retired peers
+   * @param {Array<string>} peerIds - Retired peers
+   * @param {string} proposalId - ID of the proposal every known peer
+   *   agreed to
+   * @public
+   */
+  broadcastRetiredPeers(peerIds, proposalId) {
+    const message = {
+      id: this._generateId(),
+      type: "clock-retire",
+      proposalId,
+      peers: peerIds,
+      ttl: this.options.maxTTL,
+    };
+
+    this.processedMessages.add(message.id);
+
+    this.peers.forEach((_, peerId) => {
+      this.sendToPeer(peerId, message);
+    });
+  }
+
+  /**
+   * Handle retired peers announced by a peer
+   * @param {string} peerId - Remote peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  _handleClockRetire(peerId, message) {
+    if (!this.bullet.crt || !Array.isArray(message.peers)) return;
+
+    this.bullet.crt.retirePeers(
+      this.confirmRetiredPeers(message.peers, message.proposalId)
+    );
+    this._relayMessage(message, peerId);
+  }
+
+  /**
+   * Pick the retirements announced by another peer that are safe to apply
+   * here. Folding a peer's entries early would order concurrent writes, so
+   * only peers we agreed to retire in the proposal are accepted, or peers
+   * we have never known and hold no clock entries for
+   * @param {Array<string>} peerIds - Announced retired peers
+   * @param {string} [proposalId] - ID of the proposal they were agreed in
+   * @return {Array<string>} - Peers to retire
+   * @public
+   */
+  confirmRetiredPeers(peerIds, proposalId) {
+    const crt = this.bullet.crt;
+    const agreed = this.retireAgreements.get(proposalId) || new Set();
+    this.retireAgreements.delete(proposalId);
+
+    return peerIds.filter((peerId) => {
+      if (crt.retiredPeers.has(peerId)) return false;
+      if (
+        agreed.has(peerId) ||
+        (!this.knownPeers.has(peerId) &&
+          !this.peers.has(peerId) &&
+          Object.keys(crt.getPeerEntries(peerId)).length === 0)
+      ) {
+        return true;
+      }
+
+      console.warn(
+        `Not retiring ${peerId}: this peer did not agree it has seen all of its writes`
+      );
+      return false;
+    });
+  }
+
   /**
    * Send a message to a specific peer
    * @param {string} peerId - Remote peer ID
@@ -399,9 +905,12 @@ class BulletNetwork extends EventEmitter {
    * Broadcast a data change to all peers
    * @param {string} path - Data path
    * @param {*} data - New data
+   * @param {Object} [options] - Broadcast options
+   * @param {boolean} [options.ack=false] - Ask peers to acknowledge the write
+   * @return {string} - Message ID
    * @public
    */
-  broadcast(path, data) {
+  broadcast(path, data, options = {}) {
     const message = {
       id: this._generateId(),
       type: "put",
@@ -409,12 +918,82 @@ class BulletNetwork extends EventEmitter {
       data,
       ttl: this.options.maxTTL,
     };
+    if (options.ack) {
+      message.ack = true;
+    }
+    this._stampCausalClock(message);
+
+    this.processedMessages.add(message.id);
+
+    this.peers.forEach((_, peerId) => {
+      this.sendToPeer(peerId, message);
+    });
+
+    return message.id;
+  }
+
+  /**
+   * Broadcast the writes of a transaction to all peers as one message
+   * @param {Array<Object>} ops - Writes ({ path, data })
+   * @public
+   */
+  broadcastTransaction(ops) {
+    this._broadcastOps("transaction", ops);
+  }
+
+  /**
+   * Broadcast the writes of a batch to all peers as one message
+   * @param {Array<Object>} ops - Writes ({ path, data }) in the order made
+   * @param {Object} [options] - Broadcast options
+   * @param {boolean} [options.ack=false] - Ask peers to acknowledge the writes
+   * @return {string} - Message ID
+   * @public
+   */
+  broadcastBatch(ops, options = {}) {
+    return this._broadcastOps("batch", ops, options);
+  }
+
+  /**
+   * Send a message carrying several writes to all peers
+   * @param {string} type - Message type
+   * @param {Array<Object>} ops - Writes ({ path, data })
+   * @param {Object} [options] - Broadcast options
+   * @return {string} - Message ID
+   * @private
+   */
+  _broadcastOps(type, ops, options = {}) {
+    const message = {
+      id: this._generateId(),
+      type,
+      ops,
+      ttl: this.options.maxTTL,
+    };
+    if (options.ack) {
+      message.ack = true;
+    }
+    this._stampCausalClock(message);
 
     this.processedMessages.add(message.id);
 
     this.peers.forEach((_, peerId) => {
       this.sendToPeer(peerId, message);
     });
+
+    return message.id;
+  }
+
+  /**
+   * Mark a message as a new write of this node, carrying the causal clock
+   * that tells receivers which writes it depends on. Relays keep the
+   * original stamp
+   * @param {Object} message - Put, transaction or batch message
+   * @private
+   */
+  _stampCausalClock(message) {
+    if (!this.bullet.crt) return;
+
+    message.origin = this.localPeerId;
+    message.causalClock = this.bullet.crt.tickCausalClock();
   }
 
   /**
@@ -462,6 +1041,18 @@ class BulletNetwork extends EventEmitter {
     return this.sync.getSyncStats();
   }
 
+  /**
+   * Get causal delivery buffer statistics for monitoring
+   * @return {Object} - Buffer statistics, or null if causal delivery is off
+   * @public
+   */
+  getCausalStats() {
+    if (!this.causal) {
+      return null;
+    }
+    return this.causal.getStats();
+  }
+
   /**
    * Close all connections and stop the server
    * @public
@@ -472,6 +1063,10 @@ class BulletNetwork extends EventEmitter {
       this.sync.close();
     }
 
+    if (this.causal) {
+      this.causal.close();
+    }
+
     this.peers.forEach((peer, peerId) => {
       try {
         if (peer.socket) {
@@ -490,6 +1085,21 @@ class BulletNetwork extends EventEmitter {
       }
     }
 
+    this.pendingAcks.forEach((pending) => {
+      clearTimeout(pending.timeoutId);
+      pending.reject(
+        new Error("Network closed before the write was acknowledged")
+      );
+    });
+    this.pendingAcks.clear();
+
+    this.retireProposals.forEach((proposal) => {
+      clearTimeout(proposal.timeoutId);
+      proposal.resolve([]);
+    });
+    this.retireProposals.clear();
+    this.retireAgreements.clear();
+
     this.peers.clear();
     this.processedMessages.clear();
 
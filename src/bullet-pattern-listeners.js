@@ -0,0 +1,402 @@
+/**
+ * BulletPatternListeners - Subscriptions to path patterns
+ * Patterns are split into segments and kept in a trie, so matching a
+ * changed path costs the same however many patterns are registered.
+ * A segment is a literal key, ":name" (one key, captured as a param),
+ * "*" (one key) or "**" (any number of keys, including none)
+ */
+class BulletPatternListeners {
+  /**
+   * Create a new pattern listener registry
+   * @param {Object} bullet - The Bullet instance
+   */
+  constructor(bullet) {
+    this.bullet = bullet;
+    this.root = this._createNode();
+    this.size = 0;
+    this.nextId = 0;
+  }
+
+  /**
+   * Check whether a string is a path pattern rather than an event name.
+   * Event names never contain "/" or "*" and never start with ":"
+   * @param {string} value - String to check
+   * @return {boolean} - Whether it is a path pattern
+   * @public
+   */
+  static isPattern(value) {
+    return (
+      typeof value === "string" &&
+      (value.includes("/") || value.includes("*") || value.startsWith(":"))
+    );
+  }
+
+  /**
+   * Subscribe to every path matching a pattern
+   * @param {string} pattern - Path pattern, e.g. "users/:id/status"
+   * @param {Function} callback - Function(value, { path, params, pattern })
+   * @public
+   */
+  add(pattern, callback) {
+    const segments = this._split(pattern);
+    let node = this.root;
+
+    for (const segment of segments) {
+      node = this._child(node, segment, true);
+    }
+
+    node.listeners.push({
+      id: this.nextId++,
+      pattern,
+      callback,
+      // Param names in the order their segments are matched; null for "*"
+      params: segments
+        .filter((segment) => segment === "*" || segment.startsWith(":"))
+        .map((segment) => (segment === "*" ? null : segment.slice(1))),
+    });
+    this.size++;
+  }
+
+  /**
+   * Remove a pattern subscription
+   * @param {string} pattern - Path pattern
+   * @param {Function} [callback] - Callback to remove, or all if omitted.
+   *   A wrapper is matched by the callback it wraps (wrapper.callback)
+   * @public
+   */
+  remove(pattern, callback) {
+    let node = this.root;
+
+    for (const segment of this._split(pattern)) {
+      node = this._child(node, segment, false);
+      if (!node) return;
+    }
+
+    const before = node.listeners.length;
+    node.listeners = node.listeners.filter(
+      (listener) =>
+        listener.pattern !== pattern ||
+        (callback &&
+          listener.callback !== callback &&
+          listener.callback.callback !== callback)
+    );
+    this.size -= before - node.listeners.length;
+  }
+
+  /**
+   * Call the listeners whose pattern matches a changed path, one of its
+   * ancestors or one of its descendants. Each listener is called at most
+   * once per concrete path
+   * @param {Map<string, Object>} notifications - Path to { data, change,
+   *   details }, details holding the value the write replaced
+   * @public
+   */
+  dispatch(notifications) {
+    if (this.size === 0) return;
+
+    const matches = new Map();
+
+    for (const [path, { data, change, details }] of notifications) {
+      const segments = path.split("/").filter(Boolean);
+      const oldValue = details ? details.oldValue : undefined;
+      this._match(
+        this.root,
+        segments,
+        0,
+        [],
+        { data, oldValue, change },
+        matches
+      );
+    }
+
+    for (const { listener, path, params, value, change } of matches.values()) {
+      try {
+        listener.callback(value, {
+          ...change,
+          path,
+          params: this._params(listener, params),
+          pattern: listener.pattern,
+        });
+      } catch (err) {
+        console.error(
+          `Error in pattern listener callback for ${listener.pattern}:`,
+          err
+        );
+      }
+    }
+  }
+
+  /**
+   * Walk the trie along a changed path, recording every listener reached
+   * @param {Object} node - Current trie node
+   * @param {Array<string>} segments - Segments of the changed path
+   * @param {number} index - Next segment to match
+   * @param {Array<string>} captured - Keys matched by ":name" and "*"
+   * @param {Object} write - { data, oldValue, change } of the changed path
+   * @param {Map} matches - Matches by listener and concrete path
+   * @private
+   */
+  _match(node, segments, index, captured, write, matches) {
+    if (index === segments.length) {
+      this._record(
+        node,
+        segments,
+        captured,
+        write.data,
+        write.change,
+        matches
+      );
+      // Patterns reaching below the changed path match inside its value,
+      // and inside the value it replaced
+      this._matchValue(
+        node,
+        segments,
+        captured,
+        write.data,
+        write.oldValue,
+        matches
+      );
+    } else {
+      // The pattern ends above the changed path, so an ancestor matched.
+      // A trailing "**" reaches the changed path itself instead
+      if (node.listeners.length > 0 && !node.deep) {
+        this._record(
+          node,
+          segments.slice(0, index),
+          captured,
+          undefined,
+          undefined,
+          matches
+        );
+      }
+
+      const segment = segments[index];
+      if (node.literal.has(segment)) {
+        this._match(
+          node.literal.get(segment),
+          segments,
+          index + 1,
+          captured,
+          write,
+          matches
+        );
+      }
+      if (node.single) {
+        this._match(
+          node.single,
+          segments,
+          index + 1,
+          [...captured, segment],
+          write,
+          matches
+        );
+      }
+    }
+
+    if (node.multi) {
+      for (let next = index; next <= segments.length; next++) {
+        this._match(node.multi, segments, next, captured, write, matches);
+      }
+    }
+  }
+
+  /**
+   * Match the rest of the trie against the keys of a changed value and of
+   * the value it replaced. Keys only the old value has were removed, so
+   * their listeners get null
+   * @param {Object} node - Current trie node
+   * @param {Array<string>} segments - Segments of the path holding value
+   * @param {Array<string>} captured - Keys matched by ":name" and "*"
+   * @param {*} value - Value to match inside
+   * @param {*} oldValue - Value it replaced
+   * @param {Map} matches - Matches by listener and concrete path
+   * @private
+   */
+  _matchValue(node, segments, captured, value, oldValue, matches) {
+    const keys = new Set([...this._keys(value), ...this._keys(oldValue)]);
+
+    for (const key of keys) {
+      const childSegments = [...segments, key];
+      const child = this._childValue(value, key);
+      const oldChild = this._childValue(oldValue, key);
+      const match = (next, nextCaptured) => {
+        this._record(
+          next,
+          childSegments,
+          nextCaptured,
+          child === undefined ? null : child,
+          undefined,
+          matches
+        );
+        this._matchValue(
+          next,
+          childSegments,
+          nextCaptured,
+          child,
+          oldChild,
+          matches
+        );
+      };
+
+      if (node.literal.has(key)) match(node.literal.get(key), captured);
+      if (node.single) match(node.single, [...captured, key]);
+      // A "**" takes in any number of keys
+      if (node.deep) match(node, captured);
+    }
+
+    // ... including none
+    if (node.multi) {
+      this._record(
+        node.multi,
+        segments,
+        captured,
+        value === undefined ? null : value,
+        undefined,
+        matches
+      );
+      this._matchValue(
+        node.multi,
+        segments,
+        captured,
+        value,
+        oldValue,
+        matches
+      );
+    }
+  }
+
+  /**
+   * Get the keys a value holds children under
+   * @param {*} value - Value
+   * @return {Array<string>} - Keys, none for primitives and arrays
+   * @private
+   */
+  _keys(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+      ? Object.keys(value)
+      : [];
+  }
+
+  /**
+   * Get the child of a value under a key
+   * @param {*} value - Value
+   * @param {string} key - Key
+   * @return {*} - Child, undefined if there is none
+   * @private
+   */
+  _childValue(value, key) {
+    return this._keys(value).length > 0 &&
+      Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined;
+  }
+
+  /**
+   * Record the listeners of a trie node for a concrete path
+   * @param {Object} node - Trie node
+   * @param {Array<string>} segments - Segments of the concrete path
+   * @param {Array<string>} captured - Keys matched by ":name" and "*"
+   * @param {*} value - Value at the concrete path, looked up if undefined
+   * @param {Object} [change] - Change details, only for the changed path
+   * @param {Map} matches - Matches by listener and concrete path
+   * @private
+   */
+  _record(node, segments, captured, value, change, matches) {
+    if (node.listeners.length === 0) return;
+
+    const path = segments.join("/");
+    for (const listener of node.listeners) {
+      const key = `${listener.id}/${path}`;
+      if (matches.has(key)) continue;
+
+      matches.set(key, {
+        listener,
+        path,
+        params: captured,
+        value: value !== undefined ? value : this._lookup(path),
+        change,
+      });
+    }
+  }
+
+  /**
+   * Name the captured keys of a match
+   * @param {Object} listener - Matched listener
+   * @param {Array<string>} captured - Keys matched by ":name" and "*"
+   * @return {Object} - Params by name
+   * @private
+   */
+  _params(listener, captured) {
+    const params = {};
+    listener.params.forEach((name, i) => {
+      if (name !== null) params[name] = captured[i];
+    });
+    return params;
+  }
+
+  /**
+   * Get the current value at a path without creating it
+   * @param {string} path - Path to read
+   * @return {*} - Value, or null if nothing is stored there
+   * @private
+   */
+  _lookup(path) {
+    const value = this.bullet.crt
+      ? this.bullet.crt._lookup(path)
+      : this.bullet._getData(path);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Split a pattern into segments
+   * @param {string} pattern - Path pattern
+   * @return {Array<string>} - Segments
+   * @private
+   */
+  _split(pattern) {
+    return pattern.split("/").filter(Boolean);
+  }
+
+  /**
+   * Get the trie child for a pattern segment
+   * @param {Object} node - Parent trie node
+   * @param {string} segment - Pattern segment
+   * @param {boolean} create - Create the child if missing
+   * @return {Object|null} - Child node
+   * @private
+   */
+  _child(node, segment, create) {
+    if (segment === "**") {
+      if (!node.multi && create) {
+        node.multi = { ...this._createNode(), deep: true };
+      }
+      return node.multi || null;
+    }
+    if (segment === "*" || segment.startsWith(":")) {
+      if (!node.single && create) node.single = this._createNode();
+      return node.single || null;
+    }
+    if (!node.literal.has(segment) && create) {
+      node.literal.set(segment, this._createNode());
+    }
+    return node.literal.get(segment) || null;
+  }
+
+  /**
+   * Create an empty trie node
+   * @return {Object} - Trie node
+   * @private
+   */
+  _createNode() {
+    return {
+      literal: new Map(),
+      single: null,
+      multi: null,
+      listeners: [],
+      // Whether the node follows a "**" segment
+      deep: false,
+    };
+  }
+}
+
+module.exports = BulletPatternListeners;
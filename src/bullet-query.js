@@ -3,6 +3,8 @@ class BulletQuery {
     this.bullet = bullet;
     this.indices = {};
     this.indexedPaths = new Set();
+    // Index updates held back until the current batch ends
+    this.pendingIndexUpdates = new Map();
     this._initIndexing();
   }
 
@@ -16,10 +18,47 @@ class BulletQuery {
     this.bullet.setData = (path, data, broadcast = true) => {
       originalSetData(path, data, broadcast);
 
-      this._updateIndices(path, data);
+      // CRDT operations carry the type's state, index the value they left
+      if (data && typeof data === "object" && data.__crdt) {
+        const value = this.bullet.crt._lookup(path);
+        this._queueIndexUpdate(path, value === undefined ? null : value);
+        return;
+      }
+
+      this._queueIndexUpdate(path, data);
     };
   }
 
+  /**
+   * Update indices for a write, or hold the update back until the current
+   * batch ends so a path written many times is indexed once
+   * @param {string} path - Path that changed
+   * @param {*} newData - New data
+   * @private
+   */
+  _queueIndexUpdate(path, newData) {
+    if (this.bullet._batch) {
+      this.pendingIndexUpdates.delete(path);
+      this.pendingIndexUpdates.set(path, newData);
+      return;
+    }
+
+    this._updateIndices(path, newData);
+  }
+
+  /**
+   * Apply the index updates held back during a batch
+   * @private
+   */
+  _flushIndexUpdates() {
+    const updates = this.pendingIndexUpdates;
+    this.pendingIndexUpdates = new Map();
+
+    for (const [path, newData] of updates) {
+      this._updateIndices(path, newData);
+    }
+  }
+
   /**
    * Create an index on a specific path and field
    * @param {string} path - Base path to index
@@ -5,6 +5,7 @@ class BulletSerializer {
     this.options = {
       prettyPrint: false,
       includeMetadata: true,
+      includeHistory: false,
       maxDepth: Infinity,
     };
 
@@ -106,7 +107,7 @@ class BulletSerializer {
    * Export a path to JSON string
    * @param {string} path - Path to export
    * @param {Object} options - Export options
-   * @return {string} - JSON string
+   * @return {string} - JSON string, with null data if the path is missing
    * @public
    */
   exportToJSON(path = "", options = {}) {
@@ -115,19 +116,24 @@ class BulletSerializer {
       ...options,
     };
 
+    // A missing path exports as null, which JSON keeps
     const data = this.bullet._getData(path);
     const metadata = exportOptions.includeMetadata
       ? this._getMetadataForPath(path)
       : null;
 
     const exportObj = {
-      data,
+      data: data === undefined ? null : data,
       metadata,
       path,
       format: "bullet-json",
       version: "1.0",
     };
 
+    if (exportOptions.includeHistory && this.bullet.history) {
+      exportObj.history = this.bullet.history.export(path);
+    }
+
     const jsonStr = JSON.stringify(
       exportObj,
       this._replacer.bind(this, exportOptions),
@@ -164,6 +170,11 @@ class BulletSerializer {
         throw new Error("No target path specified");
       }
 
+      // Older versions first, so the imported value is the latest one
+      if (parsed.history && this.bullet.history) {
+        this.bullet.history.import(path, parsed.history);
+      }
+
       this.bullet.setData(path, parsed.data);
 
       if (
@@ -191,7 +202,7 @@ class BulletSerializer {
    * Export to CSV format
    * @param {string} path - Path to export
    * @param {Object} options - CSV export options
-   * @return {string} - CSV string
+   * @return {string} - CSV string, empty if the path is missing
    * @public
    */
   exportToCSV(path, options = {}) {
@@ -201,7 +212,11 @@ class BulletSerializer {
       ...options,
     };
 
+    // A missing path has no rows, like an empty object
     const data = this.bullet._getData(path);
+    if (data === undefined) {
+      return this._arrayToCSV([], exportOptions);
+    }
 
     if (typeof data !== "object" || data === null) {
       throw new Error("Data must be an object to export as CSV");
@@ -680,6 +695,7 @@ class BulletSerializer {
   _importMetadata(path, metadata) {
     if (metadata.meta && this.bullet.meta) {
       this.bullet.meta[path] = metadata.meta;
+      this.bullet._touchMeta();
     }
 
     if (metadata.indices && this.bullet.query) {
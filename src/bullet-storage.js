@@ -20,6 +20,7 @@ class BulletStorage {
       store: {},
       meta: {},
       log: [],
+      versions: {},
     };
   }
 
@@ -66,13 +67,18 @@ class BulletStorage {
       return true;
     }
 
-    for (const path in this.bullet.meta) {
-      if (!this.persisted.meta[path]) {
-        return true;
-      }
+    // Tombstone acknowledgements and collection only touch meta
+    if (this.bullet._metaChanged) {
+      return true;
+    }
+
+    if (this._hasStoreChanges(this.bullet.versions, this.persisted.versions)) {
+      return true;
     }
 
-    return this._hasStoreChanges(this.bullet.store, this.persisted.store);
+    // Snapshots share what was not written since the last save, so the
+    // comparison skips it by reference
+    return this._hasStoreChanges(this.bullet.snapshot(), this.persisted.store);
   }
 
   /**
@@ -144,6 +150,9 @@ class BulletStorage {
    * @protected
    */
   _deepMerge(target, source) {
+    // Merging into the store bypasses writes, so snapshots can't tell
+    if (target === this.bullet.store) this.bullet._invalidateSnapshot();
+
     for (const key in source) {
       if (
         source[key] &&
@@ -163,6 +172,63 @@ class BulletStorage {
     return target;
   }
 
+  /**
+   * Load the persisted node identity
+   * @return {string|null} - Persisted ID, or null if none
+   * @public
+   */
+  loadIdentity() {
+    // Base implementation persists nothing
+    return null;
+  }
+
+  /**
+   * Persist a generated node identity
+   * @param {string} id - Node ID
+   * @public
+   */
+  saveIdentity(id) {
+    // Base implementation persists nothing
+  }
+
+  /**
+   * Claim the node identity for this process
+   * @param {string} id - Node ID
+   * @param {string} instanceId - ID of this process's Bullet instance
+   * @public
+   */
+  claimIdentity(id, instanceId) {
+    // Base implementation claims nothing
+  }
+
+  /**
+   * Load the sync cursor persisted for each peer
+   * @return {Object} - Cursor by peer ID, empty if none are persisted
+   * @public
+   */
+  loadSyncCursors() {
+    // Base implementation persists nothing
+    return {};
+  }
+
+  /**
+   * Load the peers this node has ever connected to
+   * @return {Array<string>} - Peer IDs, empty if none are persisted
+   * @public
+   */
+  loadKnownPeers() {
+    // Base implementation persists nothing
+    return [];
+  }
+
+  /**
+   * Release the identity claimed by saveIdentity()
+   * @public
+   */
+  releaseIdentity() {
+    // Base implementation persists nothing
+  }
+
   /**
    * Manual trigger to save state
    * @return {Promise} - Promise that resolves when save is complete
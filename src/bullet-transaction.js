@@ -0,0 +1,239 @@
+/**
+ * BulletTransaction - Multi-path atomic writes
+ * Collects writes, checks all of them against validation and middleware,
+ * then applies them together with a single notification pass and a single
+ * network message
+ */
+class BulletTransaction {
+  /**
+   * Create a new transaction
+   * @param {Object} bullet - The Bullet instance
+   */
+  constructor(bullet) {
+    this.bullet = bullet;
+    this.writes = [];
+    this.committed = false;
+  }
+
+  /**
+   * Access a node inside the transaction
+   * @param {string} path - Path to the node
+   * @return {BulletTransactionNode} - Node interface staging writes
+   * @public
+   */
+  get(path) {
+    return new BulletTransactionNode(this, this.bullet._resolvePath(path));
+  }
+
+  /**
+   * Stage a write
+   * @param {string} path - Path to write
+   * @param {*} data - Data to write, null to delete
+   * @private
+   */
+  _stage(path, data) {
+    if (this.committed) {
+      throw new Error("Transaction has already been committed");
+    }
+    this.writes.push({ path, data });
+  }
+
+  /**
+   * Read a path as the transaction would leave it, applying staged writes
+   * to the path, its ancestors and its descendants in order
+   * @param {string} path - Path to read
+   * @return {*} - Staged value, or the stored value
+   * @private
+   */
+  _read(path) {
+    const parts = path.split("/").filter(Boolean);
+    let value = this.bullet._getData(path);
+
+    for (const write of this.writes) {
+      const writeParts = write.path.split("/").filter(Boolean);
+      const shared = Math.min(parts.length, writeParts.length);
+      if (parts.slice(0, shared).some((key, i) => key !== writeParts[i])) {
+        continue;
+      }
+
+      if (writeParts.length <= parts.length) {
+        value = parts
+          .slice(writeParts.length)
+          .reduce(
+            (node, key) =>
+              typeof node === "object" && node !== null
+                ? node[key]
+                : undefined,
+            write.data
+          );
+      } else {
+        value = this.bullet._replaceAt(
+          value,
+          writeParts.slice(parts.length),
+          write.data === null ? undefined : write.data
+        );
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Check every staged write, then apply them all or none
+   * @return {Array<Object>} - Applied writes ({ path, value })
+   * @throws {Error} - If validation or middleware rejects any write
+   * @public
+   */
+  commit() {
+    if (this.committed) {
+      throw new Error("Transaction has already been committed");
+    }
+    this.committed = true;
+
+    const writes = this.writes.map(({ path, data }) =>
+      this._prepare(path, data)
+    );
+
+    return this.bullet._applyTransaction(writes);
+  }
+
+  /**
+   * Run a staged write through middleware and validation
+   * @param {string} path - Path to write
+   * @param {*} data - Data to write
+   * @return {Object} - The write ({ path, data }) as modified by middleware
+   * @throws {Error} - If the write is rejected
+   * @private
+   */
+  _prepare(path, data) {
+    const { middleware, validation, computed } = this.bullet;
+    let write = { path, data };
+
+    if (computed.find(path)) {
+      throw this._createError(path, "targets a computed node");
+    }
+
+    if (middleware) {
+      write = middleware.runPutHooks(path, data);
+      if (!write) {
+        throw this._createError(path, "cancelled by middleware");
+      }
+    }
+
+    if (
+      write.data !== null &&
+      validation &&
+      !validation._validateDataForPath(write.path, write.data)
+    ) {
+      throw this._createError(write.path, "failed validation");
+    }
+
+    return write;
+  }
+
+  /**
+   * Run a write received in a peer's transaction through middleware, as a
+   * remote put would be, and validation
+   * @param {string} path - Path to write
+   * @param {Object} data - Write as sent by the peer
+   * @return {Object} - The write ({ path, data }) as modified by middleware
+   * @throws {Error} - If the write is rejected
+   * @private
+   */
+  _prepareRemote(path, data) {
+    const { middleware, validation, crt } = this.bullet;
+    let write = { path, data: { ...data, __fromNetwork: true } };
+
+    if (middleware) {
+      write = middleware.runPutHooks(write.path, write.data);
+      if (!write) {
+        throw this._createError(path, "cancelled by middleware");
+      }
+    }
+
+    // The payload carries clocks and CRDT state, validation wants the
+    // value it stands for
+    const value = crt.materialize(write.path, write.data);
+    if (
+      value !== null &&
+      validation &&
+      !validation._validateDataForPath(write.path, value)
+    ) {
+      throw this._createError(write.path, "failed validation");
+    }
+
+    return write;
+  }
+
+  /**
+   * Create the error thrown when a write is rejected
+   * @param {string} path - Rejected path
+   * @param {string} reason - Why it was rejected
+   * @return {Error} - Transaction error
+   * @private
+   */
+  _createError(path, reason) {
+    const error = new Error(
+      `Transaction aborted: write to '${path}' ${reason}`
+    );
+    error.isTransactionError = true;
+    error.path = path;
+    return error;
+  }
+}
+
+/**
+ * BulletTransactionNode - Node interface that stages writes in a transaction
+ */
+class BulletTransactionNode {
+  /**
+   * @param {BulletTransaction} transaction - Owning transaction
+   * @param {string} path - Path to the node
+   */
+  constructor(transaction, path) {
+    this.transaction = transaction;
+    this.path = path;
+  }
+
+  /**
+   * Get the value this node will have once the transaction commits
+   * @return {*} - Node value
+   */
+  value() {
+    return this.transaction._read(this.path);
+  }
+
+  /**
+   * Stage a write of this node
+   * @param {*} data - Data to write
+   * @return {BulletTransactionNode} - This node for chaining
+   */
+  put(data) {
+    this.transaction._stage(this.path, this.transaction.bullet._toLinks(data));
+    return this;
+  }
+
+  /**
+   * Stage removal of this node
+   * @return {BulletTransactionNode} - This node for chaining
+   */
+  remove() {
+    this.transaction._stage(this.path, null);
+    return this;
+  }
+
+  /**
+   * Access a child node inside the transaction
+   * @param {string} childPath - Path to the child
+   * @return {BulletTransactionNode} - Child node
+   */
+  get(childPath) {
+    const fullPath = this.path ? `${this.path}/${childPath}` : childPath;
+    return new BulletTransactionNode(
+      this.transaction,
+      this.transaction.bullet._resolvePath(fullPath)
+    );
+  }
+}
+
+module.exports = BulletTransaction;
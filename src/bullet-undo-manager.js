@@ -0,0 +1,534 @@
+/**
+ * BulletUndoManager - Undo and redo of local edits under a path
+ * Records the diff of every local change below its scope, ignoring changes
+ * from peers. Undoing writes the old values back as a new transaction, so
+ * it merges through BulletCRT like any other write, and fields a peer has
+ * changed since are left alone. Changes to counters, sets, lists and text
+ * are undone with the inverse operations instead, keeping the peers'
+ * concurrent operations
+ */
+class BulletUndoManager {
+  /**
+   * Create a new undo manager
+   * @param {Object} bullet - The Bullet instance
+   * @param {Object} options - Configuration options
+   * @param {string} options.scope - Path whose subtree is tracked
+   * @param {number} [options.captureTimeout=500] - Edits made within this
+   *   many milliseconds of each other are undone together
+   * @param {number} [options.limit=100] - Undo steps kept
+   */
+  constructor(bullet, options = {}) {
+    if (typeof options.scope !== "string") {
+      throw new Error("An undo manager needs a scope path");
+    }
+
+    this.bullet = bullet;
+    this.options = {
+      captureTimeout: 500,
+      limit: 100,
+      ...options,
+    };
+    this.scope = options.scope.split("/").filter(Boolean).join("/");
+
+    // Groups of changes, most recent last
+    this.undoStack = [];
+    this.redoStack = [];
+    this.applying = false;
+    this.lastChange = 0;
+
+    // CRDT state of each replicated node in scope as of the last change
+    // seen, to tell what a local operation did
+    this.states = new Map();
+    for (const path of Object.keys(bullet.meta)) {
+      if (this._relative(this.scope, path) !== null) {
+        this._trackState(path);
+      }
+    }
+
+    this.listener = (value, event) => this._capture(event);
+    this.node = bullet.get(this.scope);
+    this.node.on(this.listener, { detailed: true });
+  }
+
+  /**
+   * Undo the most recent group of local edits
+   * @return {boolean} - Whether anything was undone
+   * @public
+   */
+  undo() {
+    return this._step(this.undoStack, this.redoStack, "newValue", "oldValue");
+  }
+
+  /**
+   * Redo the most recently undone group of edits
+   * @return {boolean} - Whether anything was redone
+   * @public
+   */
+  redo() {
+    return this._step(this.redoStack, this.undoStack, "oldValue", "newValue");
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @return {boolean} - Whether undo() has edits to revert
+   * @public
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @return {boolean} - Whether redo() has edits to apply again
+   * @public
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Start a new undo step with the next edit, even within captureTimeout
+   * @public
+   */
+  stopCapturing() {
+    this.lastChange = 0;
+  }
+
+  /**
+   * Forget every undo and redo step
+   * @public
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastChange = 0;
+  }
+
+  /**
+   * Stop tracking edits
+   * @public
+   */
+  destroy() {
+    this.node.off(this.listener);
+    this.clear();
+  }
+
+  /**
+   * Record a local change as an undo step, or add it to the current one
+   * @param {Object} [event] - Detailed change event of the scope
+   * @private
+   */
+  _capture(event) {
+    // Listeners are first called with the current value, without an event
+    if (!event) return;
+
+    // States are tracked through every change, including those of peers
+    const changes = event.diff.map((change) => {
+      const previous = this.states.get(this._path(change.path));
+      this._trackState(this._path(change.path));
+      return this._describe(change, previous);
+    });
+
+    if (this.applying) return;
+    if (event.origin !== "local" || changes.length === 0) return;
+
+    const now = Date.now();
+    const current = this.undoStack[this.undoStack.length - 1];
+
+    if (current && now - this.lastChange < this.options.captureTimeout) {
+      for (const change of changes) {
+        this._merge(current, change);
+      }
+    } else {
+      this.undoStack.push({ changes: [] });
+      for (const change of changes) {
+        this._merge(this.undoStack[this.undoStack.length - 1], change);
+      }
+      if (this.undoStack.length > this.options.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.lastChange = now;
+    this.redoStack = [];
+  }
+
+  /**
+   * Remember the CRDT state now stored at a path, or forget the states at
+   * and below it once it no longer holds one
+   * @param {string} path - Full path
+   * @private
+   */
+  _trackState(path) {
+    const meta = this.bullet.meta[path];
+    if (meta && meta.crdt && !meta.deleted) {
+      this.states.set(path, meta.crdt);
+      return;
+    }
+
+    for (const statePath of this.states.keys()) {
+      if (this._relative(path, statePath) !== null) {
+        this.states.delete(statePath);
+      }
+    }
+  }
+
+  /**
+   * Turn a diff entry into an undo entry. Operations on a CRDT that
+   * existed before the change also record what they did, so they can be
+   * inverted
+   * @param {Object} change - Diff entry ({ path, oldValue, newValue })
+   * @param {Object} [previous] - CRDT state at the path before the change
+   * @return {Object} - Undo entry ({ path, oldValue, newValue, crdt? })
+   * @private
+   */
+  _describe(change, previous) {
+    // Stored objects are changed in place by later writes below them
+    const entry = {
+      path: change.path,
+      oldValue: this._clone(change.oldValue),
+      newValue: this._clone(change.newValue),
+    };
+
+    const next = this.states.get(this._path(change.path));
+    if (!previous || !next || previous.type !== next.type) return entry;
+
+    switch (next.type) {
+      case "counter":
+      case "set":
+        // Their values say all there is to invert
+        entry.crdt = { type: next.type };
+        break;
+      case "list":
+      case "text":
+        entry.crdt = {
+          type: next.type,
+          ...this._sequenceChange(previous, next),
+        };
+        break;
+    }
+    return entry;
+  }
+
+  /**
+   * Find the elements a list or text operation inserted and removed
+   * @param {Object} previous - State before the operation
+   * @param {Object} next - State after it
+   * @return {Object} - { inserted, removed }, both lists of { id, value }
+   * @private
+   */
+  _sequenceChange(previous, next) {
+    const alive = (state, id) => state.items[id] && !state.items[id].deleted;
+
+    return {
+      inserted: this.bullet.crdt
+        .listOrder(next)
+        .filter((id) => !alive(previous, id))
+        .map((id) => ({ id, value: next.items[id].value })),
+      removed: this.bullet.crdt
+        .listOrder(previous)
+        .filter((id) => !alive(next, id))
+        .map((id) => ({ id, value: previous.items[id].value })),
+    };
+  }
+
+  /**
+   * Add a change to a group. A path changed again keeps its first old
+   * value, so undoing the group restores the state from before it
+   * @param {Object} group - Undo step
+   * @param {Object} change - Undo entry ({ path, oldValue, newValue, crdt? })
+   * @private
+   */
+  _merge(group, change) {
+    // A change inside one already in the group updates its new value
+    for (const entry of group.changes) {
+      const keys = this._relative(entry.path, change.path);
+      if (keys !== null) {
+        entry.newValue = this._setIn(entry.newValue, keys, change.newValue);
+        if (keys.length === 0) {
+          this._mergeCRDT(entry, change);
+        }
+        return;
+      }
+    }
+
+    // Changes inside this one fold their old values into it
+    let oldValue = change.oldValue;
+    group.changes = group.changes.filter((entry) => {
+      const keys = this._relative(change.path, entry.path);
+      if (keys === null) return true;
+      oldValue = this._setIn(oldValue, keys, entry.oldValue);
+      return false;
+    });
+
+    group.changes.push({ ...change, oldValue });
+  }
+
+  /**
+   * Combine the CRDT operations of two changes to the same path. Once the
+   * path is written as plain data the entry is undone as plain data too
+   * @param {Object} entry - Earlier undo entry
+   * @param {Object} change - Later undo entry for the same path
+   * @private
+   */
+  _mergeCRDT(entry, change) {
+    if (!entry.crdt || !change.crdt || entry.crdt.type !== change.crdt.type) {
+      delete entry.crdt;
+      return;
+    }
+    if (!entry.crdt.inserted) return;
+
+    // Elements inserted and removed within the group cancel out
+    const removedIds = new Set(change.crdt.removed.map(({ id }) => id));
+    const insertedIds = new Set(entry.crdt.inserted.map(({ id }) => id));
+    entry.crdt.inserted = [
+      ...entry.crdt.inserted.filter(({ id }) => !removedIds.has(id)),
+      ...change.crdt.inserted,
+    ];
+    entry.crdt.removed = [
+      ...entry.crdt.removed,
+      ...change.crdt.removed.filter(({ id }) => !insertedIds.has(id)),
+    ];
+  }
+
+  /**
+   * Move a group from one stack to the other, writing its values back.
+   * Paths whose value is no longer the one the group left there were
+   * changed by someone else since, and are skipped
+   * @param {Array<Object>} from - Stack to take the group from
+   * @param {Array<Object>} to - Stack to put what was applied on
+   * @param {string} expected - Field holding the value the path must have
+   * @param {string} target - Field holding the value to write
+   * @return {boolean} - Whether anything was written
+   * @private
+   */
+  _step(from, to, expected, target) {
+    while (from.length > 0) {
+      const group = from.pop();
+      const applied = [];
+
+      // Later changes are undone first; redo replays them in order
+      const changes =
+        target === "oldValue" ? [...group.changes].reverse() : group.changes;
+
+      // CRDT operations are inverted whatever peers did since, as long as
+      // the node still holds the same type
+      const replays = changes.filter(
+        (change) => change.crdt && this._holds(change)
+      );
+
+      this.applying = true;
+      try {
+        this.bullet.transaction((tx) => {
+          for (const change of changes) {
+            if (change.crdt) continue;
+
+            const node = tx.get(this._path(change.path));
+            if (!this._equals(node.value(), change[expected])) continue;
+
+            node.put(change[target] === undefined ? null : change[target]);
+            applied.push(change);
+          }
+        });
+
+        for (const change of replays) {
+          this._replay(change, expected, target);
+          applied.push(change);
+        }
+      } catch (err) {
+        from.push(group);
+        throw err;
+      } finally {
+        this.applying = false;
+      }
+
+      this.stopCapturing();
+
+      if (applied.length > 0) {
+        to.push({
+          changes: target === "oldValue" ? applied.reverse() : applied,
+        });
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check that a node still holds the CRDT type a change was made to
+   * @param {Object} change - Undo entry with CRDT operations
+   * @return {boolean} - Whether its operations can be inverted
+   * @private
+   */
+  _holds(change) {
+    const meta = this.bullet.meta[this._path(change.path)];
+    return Boolean(
+      meta && !meta.deleted && meta.crdt && meta.crdt.type === change.crdt.type
+    );
+  }
+
+  /**
+   * Apply the operations taking a CRDT from one side of a change to the
+   * other. Restored list elements are inserted right after the removed
+   * originals, which puts them back in place; the entry then records the
+   * new elements so the step can be reverted again
+   * @param {Object} change - Undo entry with CRDT operations
+   * @param {string} expected - Field holding the value it goes from
+   * @param {string} target - Field holding the value it goes to
+   * @private
+   */
+  _replay(change, expected, target) {
+    const path = this._path(change.path);
+    const node = this.bullet.get(path);
+    const { type } = change.crdt;
+
+    if (type === "counter") {
+      const amount = (change[target] || 0) - (change[expected] || 0);
+      if (amount !== 0) node.increment(amount);
+      return;
+    }
+
+    if (type === "set") {
+      const keys = (items) =>
+        new Set((items || []).map((item) => JSON.stringify(item)));
+      const from = keys(change[expected]);
+      const to = keys(change[target]);
+      for (const item of change[expected] || []) {
+        if (!to.has(JSON.stringify(item))) node.removeItem(item);
+      }
+      for (const item of change[target] || []) {
+        if (!from.has(JSON.stringify(item))) node.add(item);
+      }
+      return;
+    }
+
+    const undo = target === "oldValue";
+    const remove = undo ? change.crdt.inserted : change.crdt.removed;
+    const restore = undo ? change.crdt.removed : change.crdt.inserted;
+    const restored = [];
+
+    const write = this.bullet.crdt.update(path, type, (state, peerId) => {
+      for (const { id } of remove) {
+        const element = state.items[id];
+        if (element && !element.deleted) {
+          state.items[id] = {
+            value: null,
+            after: element.after,
+            deleted: true,
+          };
+        }
+      }
+      for (const { id, value } of restore) {
+        if (!state.items[id]) continue;
+        const restoredId = this.bullet.crdt.createElementId(state, peerId);
+        state.items[restoredId] = { value, after: id };
+        restored.push({ id: restoredId, value });
+      }
+    });
+    // Like the put() replaying other changes, a rejected write is dropped
+    write.catch(() => {});
+
+    if (undo) {
+      change.crdt.removed = restored;
+    } else {
+      change.crdt.inserted = restored;
+    }
+  }
+
+  /**
+   * Get the full path of a diff entry
+   * @param {string} path - Path relative to the scope
+   * @return {string} - Full path
+   * @private
+   */
+  _path(path) {
+    return [this.scope, path].filter(Boolean).join("/");
+  }
+
+  /**
+   * Get the keys leading from a path to one at or below it
+   * @param {string} path - Ancestor path, relative to the scope
+   * @param {string} other - Path that may be at or below it
+   * @return {Array<string>|null} - Keys, or null if other is not below path
+   * @private
+   */
+  _relative(path, other) {
+    const parts = path.split("/").filter(Boolean);
+    const otherParts = other.split("/").filter(Boolean);
+
+    if (otherParts.length < parts.length) return null;
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] !== otherParts[i]) return null;
+    }
+
+    return otherParts.slice(parts.length);
+  }
+
+  /**
+   * Copy a value with the value at some keys inside it replaced
+   * @param {*} value - Value to copy
+   * @param {Array<string>} keys - Keys leading to the value to replace
+   * @param {*} inner - Value to put there, undefined to remove it
+   * @return {*} - Copy
+   * @private
+   */
+  _setIn(value, keys, inner) {
+    if (keys.length === 0) return inner;
+
+    const isObject =
+      typeof value === "object" && value !== null && !Array.isArray(value);
+    const copy = isObject ? { ...value } : {};
+    const [key, ...rest] = keys;
+    const child = this._setIn(copy[key], rest, inner);
+
+    if (child === undefined) {
+      delete copy[key];
+    } else {
+      copy[key] = child;
+    }
+    return copy;
+  }
+
+  /**
+   * Deep copy a value
+   * @param {*} value - Value to copy
+   * @return {*} - Copy
+   * @private
+   */
+  _clone(value) {
+    return typeof value === "object" && value !== null
+      ? JSON.parse(JSON.stringify(value))
+      : value;
+  }
+
+  /**
+   * Compare two values deeply, treating missing and null alike
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @return {boolean} - Whether they are equal
+   * @private
+   */
+  _equals(a, b) {
+    if (a === undefined) a = null;
+    if (b === undefined) b = null;
+    if (a === b) return true;
+    if (
+      typeof a !== "object" ||
+      typeof b !== "object" ||
+      a === null ||
+      b === null ||
+      Array.isArray(a) !== Array.isArray(b)
+    ) {
+      return false;
+    }
+
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (!this._equals(a[key], b[key])) return false;
+    }
+    return true;
+  }
+}
+
+module.exports = BulletUndoManager;
@@ -6,6 +6,13 @@ const BulletValidation = require("./bullet-validation");
 const BulletMiddleware = require("./bullet-middleware");
 const BulletSerializer = require("./bullet-serializer");
 const BulletCRT = require("./bullet-crt");
+const BulletCRDT = require("./bullet-crdt");
+const BulletTransaction = require("./bullet-transaction");
+const BulletPatternListeners = require("./bullet-pattern-listeners");
+const BulletExpiry = require("./bullet-expiry");
+const BulletHistory = require("./bullet-history");
+const BulletUndoManager = require("./bullet-undo-manager");
+const BulletComputed = require("./bullet-computed");
 
 class Bullet {
   constructor(options = {}) {
@@ -23,16 +30,29 @@ class Bullet {
       enableMiddleware: true,
       enableSerializer: true,
       enableStorageLog: false,
+      enableHLC: true,
+      conflictLogSize: 1000,
+      clockRetireAfter: 24 * 60 * 60 * 1000,
+      historyLimit: 0,
+      historyMaxAge: null,
       ...options,
     };
     this.store = {};
     this.listeners = {};
+    this.patterns = new BulletPatternListeners(this);
+    this.computed = new BulletComputed(this);
     this.log = [];
     this.meta = {};
+    this.versions = {};
+    // Last snapshot() and the paths written since it was taken
+    this._snapshot = null;
+    this._snapshotChanges = null;
+    // Whether meta changed since storage last saved it
+    this._metaChanged = false;
     this.BulletNode = BulletNode;
-    this.id = this._generateId();
 
-    console.log(`Bullet instance initialized with ID: ${this.id}`);
+    // Distinguishes this process from clones that share the node ID
+    this.instanceId = this._generateId();
 
     if (BulletMiddleware && this.options.enableMiddleware) {
       this.middleware = new BulletMiddleware(this);
@@ -43,6 +63,15 @@ class Bullet {
       this._initStorage();
     }
 
+    this.id = this._initIdentity();
+
+    console.log(`Bullet instance initialized with ID: ${this.id}`);
+
+    this.history = new BulletHistory(this, {
+      limit: this.options.historyLimit,
+      maxAge: this.options.historyMaxAge,
+    });
+
     if (BulletQuery && this.options.enableIndexing) {
       this.query = new BulletQuery(this);
     }
@@ -61,6 +90,8 @@ class Bullet {
 
     if (BulletCRT && !this.options.disableCRT) {
       this.crt = new BulletCRT(this);
+      this.crdt = new BulletCRDT(this);
+      this.expiry = new BulletExpiry(this);
     }
   }
 
@@ -99,28 +130,299 @@ class Bullet {
   }
 
   /**
-   * Create or access a node in the graph
+   * Pick the node ID: the id option, the identity persisted by storage, or
+   * a new random one. Keeping it stable across restarts keeps vector clock
+   * entries and sync cursors meaningful
+   * @return {string} - Node ID
+   * @private
+   */
+  _initIdentity() {
+    let id = this.options.id ? String(this.options.id) : null;
+
+    // Custom storage providers may not extend BulletStorage
+    const storage = this.storage || {};
+
+    if (!id && typeof storage.loadIdentity === "function") {
+      id = storage.loadIdentity();
+    }
+    // An explicit or loaded ID leaves the persisted one as it is
+    if (!id) {
+      id = this._generateId();
+      if (typeof storage.saveIdentity === "function") {
+        storage.saveIdentity(id);
+      }
+    }
+
+    if (typeof storage.claimIdentity === "function") {
+      storage.claimIdentity(id, this.instanceId);
+    }
+
+    return id;
+  }
+
+  /**
+   * Create or access a node in the graph. Links met on the way to the node
+   * are followed, so "posts/1/author/name" reaches the name of the user
+   * posts/1/author links to
    * @param {string} path - Path to the node
    * @return {BulletNode} - Node interface
    */
   get(path) {
-    return new BulletNode(this, path);
+    return new BulletNode(this, this._resolvePath(path));
+  }
+
+  /**
+   * Get the path a link points to
+   * @param {*} value - Value that may be a link ({ "#": path })
+   * @return {string|null} - Target path, or null if value is not a link
+   * @private
+   */
+  _linkTarget(value) {
+    if (
+      typeof value === "object" &&
+      value !== null &&
+      typeof value["#"] === "string" &&
+      Object.keys(value).length === 1
+    ) {
+      return value["#"];
+    }
+    return null;
+  }
+
+  /**
+   * Replace nodes inside data being written with links to them
+   * @param {*} data - Data to write
+   * @return {*} - Data with links
+   * @private
+   */
+  _toLinks(data) {
+    if (data instanceof BulletNode) {
+      return { "#": data.path };
+    }
+    if (Array.isArray(data)) {
+      return data.map((item) => this._toLinks(item));
+    }
+    if (
+      typeof data === "object" &&
+      data !== null &&
+      Object.getPrototypeOf(data) === Object.prototype
+    ) {
+      const result = {};
+      for (const [key, value] of Object.entries(data)) {
+        result[key] = this._toLinks(value);
+      }
+      return result;
+    }
+    return data;
+  }
+
+  /**
+   * Follow the links in every segment of a path but the last
+   * @param {string} path - Path that may pass through links
+   * @return {string} - Path without links on the way
+   * @private
+   */
+  _resolvePath(path) {
+    if (!path || !this.crt) return path;
+
+    const parts = path.split("/").filter(Boolean);
+    let resolved = [];
+
+    for (let i = 0; i < parts.length; i++) {
+      resolved.push(parts[i]);
+      if (i === parts.length - 1) break;
+
+      // Links may point at links; a chain that loops is left unresolved
+      const visited = new Set();
+      let target = this._linkTarget(this.crt._lookup(resolved.join("/")));
+      while (target !== null && !visited.has(target)) {
+        visited.add(target);
+        resolved = target.split("/").filter(Boolean);
+        target = this._linkTarget(this.crt._lookup(target));
+      }
+    }
+
+    return resolved.join("/");
+  }
+
+  /**
+   * Replace links inside a value with the values they point to
+   * @param {*} value - Value that may hold links
+   * @param {number} depth - Number of links to follow on any branch
+   * @param {Set<string>} visiting - Paths already being resolved on this
+   *   branch; links back to them are left as links
+   * @return {*} - Value with links resolved
+   * @private
+   */
+  _resolveLinks(value, depth, visiting) {
+    const target = this._linkTarget(value);
+    if (target !== null) {
+      if (depth <= 0 || visiting.has(target) || !this.crt) return value;
+      return this._resolveLinks(
+        this.crt._lookup(target),
+        depth - 1,
+        new Set(visiting).add(target)
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this._resolveLinks(item, depth, visiting));
+    }
+    if (typeof value === "object" && value !== null) {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        result[key] = this._resolveLinks(child, depth, visiting);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Take a read-only copy of the whole store as it is now. The copy is deep
+   * frozen while the store itself never is, so values returned by value()
+   * stay plain objects. Each copy shares the objects that were not written
+   * since the previous one, so taking the next one only copies the paths
+   * written in between
+   * @return {Object} - Frozen copy of the store
+   * @public
+   */
+  snapshot() {
+    if (!this._snapshot || this._snapshotChanges === true) {
+      this._snapshot = this._frozenCopy(this.store);
+    } else if (this._snapshotChanges) {
+      this._snapshot = this._refreshCopy(
+        this.store,
+        this._snapshot,
+        this._snapshotChanges
+      );
+    }
+    this._snapshotChanges = null;
+    return this._snapshot;
+  }
+
+  /**
+   * Mark the metadata as changed since storage last saved it
+   * @private
+   */
+  _touchMeta() {
+    this._metaChanged = true;
+  }
+
+  /**
+   * Mark a path as written since the last snapshot
+   * @param {string} [path] - Written path, the whole store if omitted
+   * @private
+   */
+  _invalidateSnapshot(path = "") {
+    if (!this._snapshot || this._snapshotChanges === true) return;
+
+    const parts = path.split("/").filter(Boolean);
+    if (parts.length === 0) {
+      this._snapshotChanges = true;
+      return;
+    }
+
+    // Changes are kept as a tree of keys, true marking written subtrees
+    this._snapshotChanges = this._snapshotChanges || {};
+    let node = this._snapshotChanges;
+    for (const part of parts.slice(0, -1)) {
+      if (node[part] === true) return;
+      if (!Object.prototype.hasOwnProperty.call(node, part)) node[part] = {};
+      node = node[part];
+    }
+    node[parts[parts.length - 1]] = true;
+  }
+
+  /**
+   * Copy the written paths of a value into a new frozen copy, sharing the
+   * rest with the previous one
+   * @param {*} value - Current value
+   * @param {*} previous - Frozen copy taken before the writes
+   * @param {Object|boolean} changes - Written keys, true if all of them
+   * @return {*} - Frozen copy of the current value
+   * @private
+   */
+  _refreshCopy(value, previous, changes) {
+    if (
+      changes === true ||
+      !this._isPlainObject(value) ||
+      !this._isPlainObject(previous)
+    ) {
+      return this._frozenCopy(value);
+    }
+
+    const has = (object, key) =>
+      Object.prototype.hasOwnProperty.call(object, key);
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      if (has(changes, key)) {
+        copy[key] = this._refreshCopy(value[key], previous[key], changes[key]);
+      } else {
+        copy[key] = has(previous, key)
+          ? previous[key]
+          : this._frozenCopy(value[key]);
+      }
+    }
+    return Object.freeze(copy);
+  }
+
+  /**
+   * Deep copy plain objects and arrays into frozen ones
+   * @param {*} value - Value to copy
+   * @return {*} - Frozen copy
+   * @private
+   */
+  _frozenCopy(value) {
+    if (typeof value !== "object" || value === null) return value;
+    if (Array.isArray(value)) {
+      return Object.freeze(value.map((item) => this._frozenCopy(item)));
+    }
+    // Other objects, such as Buffers, cannot always be frozen and are shared
+    if (!this._isPlainObject(value)) return value;
+
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      copy[key] = this._frozenCopy(child);
+    }
+    return Object.freeze(copy);
+  }
+
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - Value to check
+   * @return {boolean} - Whether its prototype is Object.prototype
+   * @private
+   */
+  _isPlainObject(value) {
+    return (
+      typeof value === "object" &&
+      value !== null &&
+      Object.getPrototypeOf(value) === Object.prototype
+    );
   }
 
   /**
-   * Internal method to get data at path
+   * Internal method to get data at path. Reading never changes the store
    * @param {string} path - Path to get data from
-   * @return {*} - Data at path
+   * @return {*} - Data at path, or undefined if there is none
    */
   _getData(path) {
     if (!path) return this.store;
 
+    // Computed nodes live outside the store
+    const computed = this.computed.find(path);
+    if (computed) return this.computed.read(computed);
+
     const parts = path.split("/").filter(Boolean);
     let current = this.store;
 
     for (const part of parts) {
-      if (!current[part]) {
-        current[part] = {};
+      if (
+        typeof current !== "object" ||
+        current === null ||
+        !Object.prototype.hasOwnProperty.call(current, part)
+      ) {
+        return undefined;
       }
       current = current[part];
     }
@@ -138,20 +440,414 @@ class Bullet {
    */
   setData(path, rawData, broadcast = true) {
     const { data, fromNetwork } = this._stripNetworkFlag(rawData);
-    const { doUpdate, value, vectorClock, broadcastData } =
-      this.crt.handleUpdate(path, data, fromNetwork);
+    const update = this.crt.handleUpdate(path, data, fromNetwork);
 
-    if (!doUpdate) {
-      return value;
+    // Set while an awaited write is being made
+    const write = this._pendingWrite;
+
+    if (!update.doUpdate) {
+      if (write) write.declined = true;
+      return update.value;
+    }
+
+    // A local write sets the path's expiry, or clears it without a ttl
+    if (!fromNetwork && write && write.ttl > 0 && update.value !== null) {
+      update.expiresAt = Date.now() + write.ttl;
+      update.broadcastData.__expiresAt = update.expiresAt;
     }
 
-    this._applyUpdate(path, value, vectorClock, fromNetwork);
+    this._applyUpdate(path, update, fromNetwork);
+
+    if (write) write.applied = true;
 
     if (broadcast && this.network) {
-      this.network.broadcast(path, broadcastData);
+      const ack = Boolean(write && write.count > 0);
+
+      if (this._batch) {
+        this._batch.ops.push({ path, data: update.broadcastData });
+        if (ack) this._batch.ackWrites.push(write);
+      } else {
+        const messageId = this.network.broadcast(path, update.broadcastData, {
+          ack,
+        });
+        if (ack) {
+          write.acks = this.network.waitForAcks(
+            messageId,
+            write.count,
+            write.timeout
+          );
+        }
+      }
     }
 
-    return value;
+    return update.value;
+  }
+
+  /**
+   * Write data at a path, resolving once it is validated, applied and
+   * persisted, and optionally acknowledged by peers
+   * @param {string} path - Path to write
+   * @param {*} data - Data to write
+   * @param {Object} [options] - Write options
+   * @param {number} [options.acks=0] - Number of peers that must apply the
+   *   write before the promise resolves
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for acks
+   * @param {number} [options.ttl] - Milliseconds until the data expires
+   * @return {Promise<Object>} - { path, value, acks, applied } where acks
+   *   lists the peers that acknowledged the write, and applied is false if
+   *   the CRT kept the stored value instead
+   * @private
+   */
+  async _write(path, data, options = {}) {
+    const { acks = 0, timeout = 10000, ttl = 0 } = options;
+
+    // Schemas apply to the value of a CRDT, never to the state behind it
+    const value = data && data.__crdt ? this.crdt.value(data.__crdt) : data;
+    if (
+      value !== null &&
+      this.validation &&
+      !this.validation._validateDataForPath(path, value)
+    ) {
+      throw new Error(`Validation failed for path: ${path}`);
+    }
+    if (acks > 0 && !this.network) {
+      throw new Error("Cannot wait for acknowledgements without networking");
+    }
+    if (this.computed.find(path)) {
+      throw new Error(`Cannot write to computed node ${path}`);
+    }
+
+    const write = {
+      applied: false,
+      declined: false,
+      count: acks,
+      timeout,
+      ttl,
+      acks: null,
+    };
+    this._pendingWrite = write;
+    try {
+      this.setData(path, data);
+    } finally {
+      this._pendingWrite = null;
+    }
+
+    // A write the CRT resolved against is not an error, the stored value
+    // is newer and stays
+    if (write.declined) {
+      return { path, value: this.crt._lookup(path), acks: [], applied: false };
+    }
+    if (!write.applied) {
+      throw new Error(`Write to ${path} was cancelled by middleware`);
+    }
+
+    if (this.storage) {
+      await this.storage.save();
+    }
+
+    return {
+      path,
+      value: this.crt._lookup(path),
+      acks: write.acks ? await write.acks : [],
+      applied: true,
+    };
+  }
+
+  /**
+   * Make many writes with listeners notified, indices updated and peers
+   * told once when the batch ends. Unlike a transaction, each write is
+   * applied as it is made and a rejected write does not undo the others.
+   * Writes must be made synchronously; nested batches join the outer one
+   * @param {Function} fn - Function making the writes
+   * @return {*} - What the function returned
+   * @public
+   */
+  batch(fn) {
+    if (this._batch) {
+      return fn();
+    }
+
+    this._batch = { ops: [], ackWrites: [] };
+    try {
+      return this._withDeferredNotifications(fn);
+    } finally {
+      const { ops, ackWrites } = this._batch;
+      this._batch = null;
+
+      if (this.query) {
+        this.query._flushIndexUpdates();
+      }
+      if (ops.length > 0 && this.network) {
+        const messageId = this.network.broadcastBatch(ops, {
+          ack: ackWrites.length > 0,
+        });
+        for (const write of ackWrites) {
+          write.acks = this.network.waitForAcks(
+            messageId,
+            write.count,
+            write.timeout
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Write several paths as a unit. Every write is checked by validation
+   * and middleware first; if any is rejected nothing is written. Listeners
+   * are notified once after all writes are applied, and peers receive the
+   * writes in a single message
+   * @param {Function} fn - Function(tx) staging writes with tx.get(path)
+   * @return {Array<Object>|Promise<Array<Object>>} - Applied writes
+   *   ({ path, value }), as a promise if fn returns one
+   * @throws {Error} - If a write is rejected
+   * @public
+   */
+  transaction(fn) {
+    const tx = new BulletTransaction(this);
+    const result = fn(tx);
+
+    if (result && typeof result.then === "function") {
+      return result.then(() => tx.commit());
+    }
+    return tx.commit();
+  }
+
+  /**
+   * Define a read-only node computed from other nodes. It is recomputed
+   * when a dependency changes and can be subscribed to like any node, but
+   * is not persisted or broadcast unless options ask for it
+   * @param {string} path - Path of the computed node
+   * @param {Array<string>} dependencies - Paths the value is computed from
+   * @param {Function} fn - Function(...values) returning the value, called
+   *   with the value of each dependency
+   * @param {Object} [options] - Options
+   * @param {number} [options.debounce=0] - Milliseconds to wait for more
+   *   changes before recomputing and notifying listeners
+   * @param {boolean} [options.persist=false] - Also store the value so
+   *   storage persists it
+   * @param {boolean} [options.broadcast=false] - Also store the value and
+   *   send it to peers
+   * @return {BulletNode} - The computed node
+   * @public
+   */
+  compute(path, dependencies, fn, options = {}) {
+    this.computed.define(path, dependencies, fn, options);
+    return this.get(path);
+  }
+
+  /**
+   * Remove a computed node
+   * @param {string} path - Path of the computed node
+   * @return {Bullet} - This instance for chaining
+   * @public
+   */
+  removeComputed(path) {
+    this.computed.remove(path);
+    return this;
+  }
+
+  /**
+   * Create an undo manager for the local edits under a path. Changes from
+   * peers are not undone, and undoing is a new write that syncs like any
+   * other
+   * @param {Object} options - Undo manager options
+   * @param {string} options.scope - Path whose subtree is tracked
+   * @param {number} [options.captureTimeout=500] - Edits made within this
+   *   many milliseconds of each other are undone together
+   * @param {number} [options.limit=100] - Undo steps kept
+   * @return {BulletUndoManager} - Undo manager
+   * @public
+   */
+  undoManager(options) {
+    return new BulletUndoManager(this, options);
+  }
+
+  /**
+   * Apply a transaction received from a peer. Its writes are checked by
+   * middleware and validation like those of a local transaction, and if
+   * any is rejected none is applied
+   * @param {Array<Object>} ops - Writes as sent by the peer ({ path, data })
+   * @return {Array<Object>} - Applied writes ({ path, value })
+   * @throws {Error} - If a write is rejected
+   * @private
+   */
+  _applyRemoteTransaction(ops) {
+    const tx = new BulletTransaction(this);
+    const writes = ops.map(({ path, data }) => tx._prepareRemote(path, data));
+
+    return this._applyTransaction(writes);
+  }
+
+  /**
+   * Apply the checked writes of a transaction. Writes from a peer carry
+   * the network flag and are not broadcast again. If applying a write
+   * fails, the writes applied before it are undone
+   * @param {Array<Object>} writes - Writes ({ path, data })
+   * @return {Array<Object>} - Applied writes ({ path, value })
+   * @private
+   */
+  _applyTransaction(writes) {
+    const applied = [];
+    const ops = [];
+
+    this._withDeferredNotifications(() => {
+      const saved = this._saveTransactionState(writes);
+
+      try {
+        for (const write of writes) {
+          const { path } = write;
+          const { data, fromNetwork } = this._stripNetworkFlag(write.data);
+          const oldData = this.crt._lookup(path);
+          const update = this.crt.handleUpdate(path, data, fromNetwork);
+
+          // Not a failure: the stored value is newer than a peer's write,
+          // and the peer gets it too
+          if (!update.doUpdate) continue;
+
+          this._applyUpdate(path, update, fromNetwork);
+
+          if (!fromNetwork) {
+            ops.push({ path, data: update.broadcastData });
+          }
+          applied.push({ path, value: update.value, data, oldData });
+        }
+      } catch (err) {
+        this._restoreTransactionState(saved);
+        throw err;
+      }
+
+      for (const { path, value, data, oldData } of applied) {
+        if (this.query) {
+          this.query._queueIndexUpdate(path, value);
+        }
+        if (this.middleware) {
+          this.middleware.runAfterPutHooks(path, data, oldData);
+        }
+      }
+    });
+
+    if (ops.length > 0 && this.network) {
+      if (this._batch) {
+        this._batch.ops.push(...ops);
+      } else {
+        this.network.broadcastTransaction(ops);
+      }
+    }
+
+    const results = applied.map(({ path, value }) => ({ path, value }));
+    if (this.middleware) {
+      this.middleware.emitEvent("transaction", { writes: results });
+    }
+
+    return results;
+  }
+
+  /**
+   * Save everything applying a transaction's writes can change: the stored
+   * values, metadata, history, log and conflict log, and the notifications
+   * already waiting for the written paths
+   * @param {Array<Object>} writes - Writes ({ path, data })
+   * @return {Object} - Saved state for _restoreTransactionState()
+   * @private
+   */
+  _saveTransactionState(writes) {
+    const paths = [...new Set(writes.map(({ path }) => path))];
+
+    return {
+      paths: paths.map((path) => ({
+        path,
+        value: this._saveValue(path),
+        meta: this.crt.saveMeta(path),
+        versions: this.versions[path] && [...this.versions[path]],
+        notification: this._deferredNotifications.get(path),
+      })),
+      version: this.history.version,
+      log: [...this.log],
+      conflicts: [...this.crt.conflictLog],
+    };
+  }
+
+  /**
+   * Undo the writes of a transaction that failed part-way through
+   * @param {Object} saved - State from _saveTransactionState()
+   * @private
+   */
+  _restoreTransactionState(saved) {
+    // Later paths may be below earlier ones, whose saved values are older
+    for (const { path, value, meta, versions, notification } of [
+      ...saved.paths,
+    ].reverse()) {
+      // Before the value, whose descendants the written value replaced
+      this.crt.restoreMeta(path, meta);
+      this._restoreValue(value);
+
+      if (versions) {
+        this.versions[path] = versions;
+      } else {
+        delete this.versions[path];
+      }
+
+      if (notification) {
+        this._deferredNotifications.set(path, notification);
+      } else {
+        this._deferredNotifications.delete(path);
+      }
+    }
+
+    this.history.version = saved.version;
+    this.log = saved.log;
+    this.crt.conflictLog = saved.conflicts;
+  }
+
+  /**
+   * Save the value a write to a path replaces. If the path does not exist
+   * yet, the first missing segment is saved, since the write creates it
+   * @param {string} path - Data path
+   * @return {Object} - { parts, exists, value } for _restoreValue()
+   * @private
+   */
+  _saveValue(path) {
+    const parts = path.split("/").filter(Boolean);
+    let node = this.store;
+
+    for (let i = 0; i < parts.length; i++) {
+      if (!(parts[i] in node)) {
+        return { parts: parts.slice(0, i + 1), exists: false };
+      }
+      if (typeof node[parts[i]] !== "object" || node[parts[i]] === null) {
+        parts.length = i + 1;
+        break;
+      }
+      node = node[parts[i]];
+    }
+
+    let value = this.store;
+    for (const part of parts) value = value[part];
+    return { parts, exists: true, value: JSON.parse(JSON.stringify(value)) };
+  }
+
+  /**
+   * Put back a value saved by _saveValue()
+   * @param {Object} saved - { parts, exists, value }
+   * @private
+   */
+  _restoreValue({ parts, exists, value }) {
+    if (parts.length === 0) return;
+
+    let node = this.store;
+    for (const part of parts.slice(0, -1)) {
+      node = node[part];
+      if (typeof node !== "object" || node === null) return;
+    }
+
+    const key = parts[parts.length - 1];
+    if (exists) {
+      node[key] = value;
+    } else {
+      delete node[key];
+    }
+    this._invalidateSnapshot(parts.join("/"));
   }
 
   /**
@@ -179,10 +875,15 @@ class Bullet {
 
   /**
    * Ensure nested path exists, update store, meta, log, and notify
+   * @param {string} path - Path being written
+   * @param {Object} update - Resolved update from BulletCRT.handleUpdate
+   * @param {boolean} fromNetwork - Whether the update came from a peer
    * @private
    */
-  _applyUpdate(path, value, vectorClock, fromNetwork) {
+  _applyUpdate(path, update, fromNetwork) {
+    const { value, vectorClock, hlc, crdt } = update;
     const parts = path.split("/").filter(Boolean);
+
     let node = this.store;
 
     parts.slice(0, -1).forEach((part) => {
@@ -192,19 +893,73 @@ class Bullet {
 
     const key = parts[parts.length - 1];
     if (key) {
-      node[key] = value;
+      const {
+        deleted,
+        acks,
+        crdt: previousCRDT,
+        expiresAt: previousExpiresAt,
+        ...previousMeta
+      } = this.meta[path] || {};
+      const oldValue = node[key];
+      const source = fromNetwork ? "network" : "local";
+      const lastModified = this.crt ? this.crt.now() : Date.now();
 
       // metadata
       this.meta[path] = {
-        ...(this.meta[path] || {}),
-        source: fromNetwork ? "network" : "local",
+        ...previousMeta,
+        source,
         vectorClock,
-        lastModified: Date.now(),
+        lastModified,
       };
+      if (hlc) {
+        this.meta[path].hlc = hlc;
+      } else {
+        delete this.meta[path].hlc;
+      }
+      if (crdt) {
+        this.meta[path].crdt = crdt;
+      }
+      this._touchMeta();
+
+      // Local writes replace the expiry, network writes carry their own or
+      // leave it alone when they lost to the current value
+      const expiresAt =
+        value === null
+          ? null
+          : fromNetwork && update.expiresAt === undefined
+          ? previousExpiresAt || null
+          : update.expiresAt || null;
+      if (expiresAt) {
+        this.meta[path].expiresAt = expiresAt;
+      }
+      if (this.expiry) {
+        this.expiry.track(path, expiresAt);
+      }
+
+      this._invalidateSnapshot(path);
+      if (value === null) {
+        // Deletes leave a tombstone in meta so they survive sync and restarts
+        delete node[key];
+        this.meta[path].deleted = true;
+        this.meta[path].acks = {};
+        if (this.crt) this.crt.addTombstone(path, oldValue);
+      } else {
+        node[key] = value;
+        if (this.crt) {
+          this.crt.reviveTombstones(path, value);
+          this.crt.recordFieldClocks(
+            path,
+            oldValue,
+            update,
+            source,
+            lastModified
+          );
+        }
+      }
 
       // log
       this.log.push({
-        op: "set",
+        op: value === null ? "delete" : "set",
         path,
         data: value,
         vectorClock,
@@ -214,8 +969,64 @@ class Bullet {
         this.log.splice(0, this.log.length - 1000);
       }
 
-      // notify subscribers
-      this._notify(path, value);
+      // history, kept per path unlike the log
+      const origin = this._describeOrigin(fromNetwork, hlc);
+      this.history.record(path, value, origin);
+
+      // notify subscribers, with a description of the change for types
+      // that provide one
+      const delta =
+        crdt && this.crdt ? this.crdt.diff(previousCRDT, crdt) : null;
+      this._notify(path, value, delta ? { delta } : undefined, {
+        oldValue,
+        ...origin,
+        vectorClock,
+      });
+    }
+  }
+
+  /**
+   * Work out where the write being applied came from
+   * @param {boolean} fromNetwork - Whether it came from a peer
+   * @param {Object} [hlc] - Its hybrid logical clock stamp
+   * @return {Object} - { origin, peerId }, peerId being the writer
+   * @private
+   */
+  _describeOrigin(fromNetwork, hlc) {
+    const context = this._writeOrigin;
+    const origin =
+      context &&
+      (fromNetwork ||
+        context.origin === "import" ||
+        context.origin === "expire")
+        ? context.origin
+        : fromNetwork
+        ? "network"
+        : "local";
+
+    let peerId = hlc && hlc.peerId;
+    if (!peerId) {
+      peerId = fromNetwork ? (context && context.peerId) || null : this.id;
+    }
+
+    return { origin, peerId };
+  }
+
+  /**
+   * Run a function with the writes it makes tagged with an origin
+   * @param {string} origin - "network", "sync", "import" or "expire"
+   * @param {string|null} peerId - Peer the writes came from
+   * @param {Function} fn - Function making the writes
+   * @return {*} - What the function returned
+   * @private
+   */
+  _withOrigin(origin, peerId, fn) {
+    const previous = this._writeOrigin;
+    this._writeOrigin = { origin, peerId };
+    try {
+      return fn();
+    } finally {
+      this._writeOrigin = previous;
     }
   }
 
@@ -223,28 +1034,113 @@ class Bullet {
    * Notify subscribers of data changes
    * @param {string} path - Path that changed
    * @param {*} data - New data
+   * @param {Object} [change] - Change details passed to listeners of the path
+   * @param {Object} [details] - oldValue, origin, peerId and vectorClock of
+   *   the write, for detailed listeners
    */
-  _notify(path, data) {
-    if (this.listeners[path]) {
-      this.listeners[path].forEach((callback) => {
-        try {
-          callback(data);
-        } catch (err) {
-          console.error(`Error in listener callback for ${path}:`, err);
-        }
+  _notify(path, data, change, details = {}) {
+    if (this._deferredNotifications) {
+      // Only the latest value matters, but a change description is only
+      // accurate for a single write, and the old value is the one from
+      // before the first write
+      const previous = this._deferredNotifications.get(path);
+      this._deferredNotifications.delete(path);
+      this._deferredNotifications.set(path, {
+        data,
+        change: previous ? undefined : change,
+        details: previous
+          ? { ...details, oldValue: previous.details.oldValue }
+          : details,
+        sequence: previous ? previous.sequence : this._notifySequence++,
       });
+      return;
     }
 
-    const parts = path.split("/").filter(Boolean);
-    while (parts.length > 0) {
-      parts.pop();
-      const parentPath = parts.join("/");
+    this._dispatchNotifications(
+      new Map([[path, { data, change, details, sequence: 0 }]])
+    );
+  }
+
+  /**
+   * Run a function with change notifications held back, then notify every
+   * listener once. Nested calls notify when the outermost one finishes
+   * @param {Function} fn - Function making the changes
+   * @return {*} - What the function returned
+   * @private
+   */
+  _withDeferredNotifications(fn) {
+    if (this._deferredNotifications) {
+      return fn();
+    }
+
+    this._deferredNotifications = new Map();
+    this._notifySequence = 0;
+    try {
+      return fn();
+    } finally {
+      const notifications = this._deferredNotifications;
+      this._deferredNotifications = null;
+      if (notifications.size > 0) {
+        this._dispatchNotifications(notifications);
+      }
+    }
+  }
+
+  /**
+   * Call the listeners of changed paths and of their ancestors, each
+   * ancestor once however many of its descendants changed
+   * @param {Map<string, Object>} notifications - Path to
+   *   { data, change, details, sequence }
+   * @private
+   */
+  _dispatchNotifications(notifications) {
+    const parentPaths = new Set();
+
+    for (const [path, { data, change, details }] of notifications) {
+      if (this.listeners[path]) {
+        this.listeners[path].forEach((callback) => {
+          try {
+            if (callback.detailed) {
+              callback(
+                data,
+                this._createChangeEvent(path, details.oldValue, data, {
+                  ...change,
+                  ...details,
+                })
+              );
+            } else {
+              callback(data, change);
+            }
+          } catch (err) {
+            console.error(`Error in listener callback for ${path}:`, err);
+          }
+        });
+      }
 
-      if (this.listeners[parentPath]) {
+      const parts = path.split("/").filter(Boolean);
+      while (parts.length > 0) {
+        parts.pop();
+        parentPaths.add(parts.join("/"));
+      }
+    }
+
+    for (const parentPath of parentPaths) {
+      if (this.listeners[parentPath] && !notifications.has(parentPath)) {
         const parentData = this._getData(parentPath);
         this.listeners[parentPath].forEach((callback) => {
           try {
-            callback(parentData);
+            if (callback.detailed) {
+              callback(
+                parentData,
+                this._createParentChangeEvent(
+                  parentPath,
+                  parentData,
+                  notifications
+                )
+              );
+            } else {
+              callback(parentData);
+            }
           } catch (err) {
             console.error(
               `Error in parent listener callback for ${parentPath}:`,
@@ -255,6 +1151,9 @@ class Bullet {
       }
     }
 
+    this.computed.dispatch(notifications);
+    this.patterns.dispatch(notifications);
+
     // Trigger an immediate save for manual storage providers or those without intervals
     if (this.storage && this.options.storageType !== "file") {
       // For non-file storage or when intervals are disabled, trigger manual save
@@ -265,6 +1164,153 @@ class Bullet {
     }
   }
 
+  /**
+   * Build the event passed to detailed listeners
+   * @param {string} path - Path the listener is on
+   * @param {*} oldValue - Value before the change
+   * @param {*} newValue - Value after the change
+   * @param {Object} details - origin, peerId, vectorClock and, for some
+   *   CRDT types, delta
+   * @return {Object} - Change event
+   * @private
+   */
+  _createChangeEvent(path, oldValue, newValue, details) {
+    const { origin, peerId, vectorClock, delta } = details;
+    const event = {
+      path,
+      oldValue: oldValue === undefined ? null : oldValue,
+      newValue: newValue === undefined ? null : newValue,
+      diff: this._diff(oldValue, newValue),
+      origin,
+      peerId,
+      vectorClock,
+    };
+    if (delta) event.delta = delta;
+    return event;
+  }
+
+  /**
+   * Build the event passed to detailed listeners of an ancestor of the
+   * changed paths, rebuilding the ancestor's old value from theirs
+   * @param {string} parentPath - Ancestor path
+   * @param {*} parentData - Current value of the ancestor
+   * @param {Map<string, Object>} notifications - Changed paths
+   * @return {Object} - Change event
+   * @private
+   */
+  _createParentChangeEvent(parentPath, parentData, notifications) {
+    const prefix = parentPath ? `${parentPath}/` : "";
+    const changes = [...notifications]
+      .filter(([path]) => path.startsWith(prefix))
+      .sort(([, a], [, b]) => b.sequence - a.sequence);
+
+    // Undo the changes latest first, so the oldest old value wins
+    let oldValue = parentData;
+    for (const [path, { details }] of changes) {
+      oldValue = this._replaceAt(
+        oldValue,
+        path.slice(prefix.length).split("/").filter(Boolean),
+        details.oldValue
+      );
+    }
+
+    const latest = changes[0][1].details;
+    return this._createChangeEvent(parentPath, oldValue, parentData, {
+      origin: latest.origin,
+      peerId: latest.peerId,
+      vectorClock: this.crt ? this.crt.getPathClock(parentPath) : null,
+    });
+  }
+
+  /**
+   * Copy a value with the value at a relative path replaced, sharing every
+   * untouched branch with the original
+   * @param {*} root - Value to copy
+   * @param {Array<string>} parts - Relative path segments
+   * @param {*} value - Replacement, undefined to remove the key
+   * @return {*} - The copy
+   * @private
+   */
+  _replaceAt(root, parts, value) {
+    if (parts.length === 0) return value;
+
+    const [key, ...rest] = parts;
+    const copy =
+      typeof root === "object" && root !== null && !Array.isArray(root)
+        ? { ...root }
+        : {};
+    const child = this._replaceAt(copy[key], rest, value);
+
+    if (child === undefined) {
+      delete copy[key];
+    } else {
+      copy[key] = child;
+    }
+    return copy;
+  }
+
+  /**
+   * Describe the structural difference between two values. Objects are
+   * compared key by key; arrays and primitives are compared as a whole
+   * @param {*} oldValue - Value before
+   * @param {*} newValue - Value after
+   * @param {string} [path=""] - Relative path of the values
+   * @param {Array<Object>} [diff=[]] - Changes found so far
+   * @return {Array<Object>} - Changes ({ path, type, oldValue, newValue })
+   *   where type is "add", "remove" or "change"
+   * @private
+   */
+  _diff(oldValue, newValue, path = "", diff = []) {
+    if (oldValue === newValue) return diff;
+
+    const isObject = (value) =>
+      typeof value === "object" && value !== null && !Array.isArray(value);
+    const isMissing = (value) => value === undefined || value === null;
+
+    if (isObject(oldValue) && isObject(newValue)) {
+      const keys = new Set([
+        ...Object.keys(oldValue),
+        ...Object.keys(newValue),
+      ]);
+      for (const key of keys) {
+        this._diff(
+          oldValue[key],
+          newValue[key],
+          path ? `${path}/${key}` : key,
+          diff
+        );
+      }
+    } else if (isMissing(oldValue)) {
+      if (!isMissing(newValue)) diff.push({ path, type: "add", newValue });
+    } else if (isMissing(newValue)) {
+      diff.push({ path, type: "remove", oldValue });
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      diff.push({ path, type: "change", oldValue, newValue });
+    }
+
+    return diff;
+  }
+
+  /**
+   * Generate a collection key that sorts by creation time. Keys made by
+   * this peer never repeat, even when the clock goes backwards
+   * @return {string} - Key
+   * @private
+   */
+  _generateKey() {
+    const now = Date.now();
+    if (now > (this._lastKeyTime || 0)) {
+      this._lastKeyTime = now;
+      this._keySequence = 0;
+    } else {
+      this._keySequence++;
+    }
+
+    const time = this._lastKeyTime.toString(36).padStart(9, "0");
+    const sequence = this._keySequence.toString(36).padStart(4, "0");
+    return `${time}${sequence}-${this.id}`;
+  }
+
   /**
    * Generate a unique ID
    * @return {string} - Unique ID
@@ -290,6 +1336,13 @@ class Bullet {
       clearTimeout(this._saveTimeout);
     }
 
+    if (this.expiry) {
+      this.expiry.close();
+    }
+
+    this.computed.close();
+    this.history.close();
+
     if (this.storage) {
       await this.storage.close();
     }
@@ -519,14 +1572,18 @@ class Bullet {
   }
 
   /**
-   * Register a database event listener
-   * @param {string} event - Event name
-   * @param {Function} listener - Event listener
+   * Register a database event listener, or subscribe to every path matching
+   * a pattern such as "users/:id/status", "logs/*" or "projects/**"
+   * @param {string} event - Event name or path pattern
+   * @param {Function} listener - Event listener, or for a pattern
+   *   Function(value, { path, params, pattern })
    * @return {Bullet} - This instance for chaining
    * @public
    */
   on(event, listener) {
-    if (this.middleware) {
+    if (BulletPatternListeners.isPattern(event)) {
+      this.patterns.add(event, listener);
+    } else if (this.middleware) {
       this.middleware.on(event, listener);
     } else if (event === "change" || event === "value") {
       console.warn("For change listeners, use node.on() instead");
@@ -538,6 +1595,121 @@ class Bullet {
     return this;
   }
 
+  /**
+   * Remove a database event listener or pattern subscription
+   * @param {string} event - Event name or path pattern
+   * @param {Function} [listener] - Listener to remove, or all if omitted
+   * @return {Bullet} - This instance for chaining
+   * @public
+   */
+  off(event, listener) {
+    if (BulletPatternListeners.isPattern(event)) {
+      this.patterns.remove(event, listener);
+    } else if (this.middleware) {
+      this.middleware.off(event, listener);
+    }
+    return this;
+  }
+
+  /**
+   * Get recorded concurrent conflicts
+   * @param {string} [path] - Path to filter by, including descendants
+   * @return {Array<Object>} - Conflict records, oldest first
+   * @public
+   */
+  conflicts(path = "") {
+    if (this.crt) {
+      return this.crt.getConflicts(path);
+    }
+    return [];
+  }
+
+  /**
+   * Get paths holding sibling versions from a manual conflict
+   * @return {Array<Object>} - Pending conflicts ({ path, siblings })
+   * @public
+   */
+  pendingConflicts() {
+    if (this.crt) {
+      return this.crt.getPendingConflicts();
+    }
+    return [];
+  }
+
+  /**
+   * Settle a manual conflict by writing the chosen value
+   * @param {string} path - Path of the conflict
+   * @param {*} value - Value to keep
+   * @return {Bullet} - This instance for chaining
+   * @public
+   */
+  resolveConflict(path, value) {
+    // A local write dominates every sibling, which clears them
+    this.setData(path, value);
+    return this;
+  }
+
+  /**
+   * Set how much history is kept for a path and its descendants,
+   * overriding the historyLimit and historyMaxAge options
+   * @param {string} path - Data path
+   * @param {Object} options - Retention
+   * @param {number} [options.limit] - Versions kept per path, 0 for none
+   * @param {number} [options.maxAge] - Milliseconds versions are kept
+   * @return {Bullet} - This instance for chaining
+   * @public
+   */
+  retainHistory(path, options) {
+    this.history.retain(path, options);
+    return this;
+  }
+
+  /**
+   * Retire peers that have gone away and fold their vector clock entries
+   * into a single summary entry, shrinking every stored and broadcast clock.
+   * With networking, peers are only retired once every known peer confirms
+   * it has seen the same writes from them and is not connected to them
+   * @param {Object} [options] - Compaction options
+   * @param {Array<string>} [options.peers] - Peers to retire, by default
+   *   every disconnected peer idle for longer than options.idleTime
+   * @param {number} [options.idleTime] - Idle time before a peer is retired,
+   *   defaults to the clockRetireAfter option
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for
+   *   known peers to confirm
+   * @return {Promise<Array<string>>} - Newly retired peers
+   * @public
+   */
+  compactClocks(options = {}) {
+    if (!this.crt) return Promise.resolve([]);
+
+    const peers = (
+      options.peers ||
+      this.crt.findRetiredPeers(
+        options.idleTime !== undefined
+          ? options.idleTime
+          : this.options.clockRetireAfter
+      )
+    ).filter((peerId) => !this.crt.retiredPeers.has(peerId));
+    if (peers.length === 0) return Promise.resolve([]);
+
+    if (this.network) {
+      return this.network.proposeRetiredPeers(peers, options.timeout);
+    }
+    return Promise.resolve(this.crt.retirePeers(peers));
+  }
+
+  /**
+   * Get statistics about the size of stored vector clocks
+   * @return {Object} - Clock statistics
+   * @public
+   */
+  clockStats() {
+    if (this.crt) {
+      return this.crt.getClockStats();
+    }
+    return null;
+  }
+
   /**
    * Export data at a path to JSON
    * @param {string} path - Path to export
@@ -552,7 +1724,8 @@ class Bullet {
       console.warn(
         "Serializer not enabled. Enable with { enableSerializer: true }"
       );
-      return JSON.stringify(this._getData(path));
+      const data = this._getData(path);
+      return JSON.stringify(data === undefined ? null : data);
     }
   }
 
@@ -566,14 +1739,16 @@ class Bullet {
    */
   importFromJSON(json, targetPath = null, options = {}) {
     if (this.serializer) {
-      return this.serializer.importFromJSON(json, targetPath, options);
+      return this._withOrigin("import", null, () =>
+        this.serializer.importFromJSON(json, targetPath, options)
+      );
     } else {
       console.warn(
         "Serializer not enabled. Enable with { enableSerializer: true }"
       );
       try {
         const data = JSON.parse(json);
-        this.setData(targetPath, data);
+        this._withOrigin("import", null, () => this.setData(targetPath, data));
         return { success: true, path: targetPath, data };
       } catch (error) {
         return { success: false, error: error.message };
@@ -609,7 +1784,9 @@ class Bullet {
    */
   importFromCSV(csv, targetPath, options = {}) {
     if (this.serializer) {
-      return this.serializer.importFromCSV(csv, targetPath, options);
+      return this._withOrigin("import", null, () =>
+        this.serializer.importFromCSV(csv, targetPath, options)
+      );
     } else {
       console.warn(
         "Serializer not enabled. Enable with { enableSerializer: true }"
@@ -646,7 +1823,9 @@ class Bullet {
    */
   importFromXML(xml, targetPath, options = {}) {
     if (this.serializer) {
-      return this.serializer.importFromXML(xml, targetPath, options);
+      return this._withOrigin("import", null, () =>
+        this.serializer.importFromXML(xml, targetPath, options)
+      );
     } else {
       console.warn(
         "Serializer not enabled. Enable with { enableSerializer: true }"
@@ -686,39 +1865,287 @@ class BulletNode {
 
   /**
    * Get the value at this node
-   * @return {*} - Node value
+   * @param {Object} [options] - Read options
+   * @param {number} [options.depth=0] - Number of links to follow on any
+   *   branch, replacing each link with the value it points to. Links back
+   *   to a node already being resolved are left as links
+   * @return {*} - Node value, or undefined if nothing is stored here
+   */
+  value(options = {}) {
+    const value = this.bullet._getData(this.path);
+    if (!options.depth) return value;
+
+    return this.bullet._resolveLinks(
+      value,
+      options.depth,
+      new Set([this.path])
+    );
+  }
+
+  /**
+   * Get the path this node links to
+   * @return {string|null} - Target path, or null if the node is not a link
+   */
+  link() {
+    return this.bullet._linkTarget(this.value());
+  }
+
+  /**
+   * Check whether anything is stored at this node
+   * @return {boolean} - Whether the node has a value
    */
-  value() {
-    return this.bullet._getData(this.path);
+  exists() {
+    return this.value() !== undefined;
   }
 
   /**
-   * Set data at this node
+   * Get the keys of the children of this node
+   * @return {Array<string>} - Child keys, empty if the node has none
+   */
+  keys() {
+    const value = this.value();
+    return typeof value === "object" && value !== null
+      ? Object.keys(value)
+      : [];
+  }
+
+  /**
+   * Get the number of children of this node
+   * @return {number} - Number of child keys or array items
+   */
+  size() {
+    return this.keys().length;
+  }
+
+  /**
+   * Set data at this node. The write is applied immediately; the returned
+   * node can be awaited until the write is persisted and, if requested,
+   * acknowledged by peers, or used for chaining like any other node
    * @param {*} data - Data to set
-   * @return {BulletNode} - This node for chaining
+   * @param {Object} [options] - Write options
+   * @param {number} [options.acks=0] - Number of peers that must apply the
+   *   write before the promise resolves
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for acks
+   * @param {number} [options.ttl] - Milliseconds until the data is deleted.
+   *   Without it, any expiry set earlier is cleared
+   * @return {BulletNode} - This node, resolving to { path, value, acks,
+   *   applied } when awaited. applied is false if the stored value was
+   *   newer and the CRT kept it. Rejected if the write fails validation, is
+   *   cancelled by middleware or is not acknowledged in time
    */
-  put(data) {
-    this.bullet.setData(this.path, data);
-    return this;
+  put(data, options = {}) {
+    const write = this.bullet._write(
+      this.path,
+      this.bullet._toLinks(data),
+      options
+    );
+    // A put that is not awaited must not raise an unhandled rejection
+    write.catch(() => {});
+    return this._awaitable(write);
+  }
+
+  /**
+   * Get a copy of this node that can also be awaited for a write
+   * @param {Promise} promise - Write promise
+   * @return {BulletNode} - Node resolving like the promise
+   * @private
+   */
+  _awaitable(promise) {
+    const node = new BulletNode(this.bullet, this.path);
+    node.then = promise.then.bind(promise);
+    node.catch = promise.catch.bind(promise);
+    node.finally = promise.finally.bind(promise);
+    return node;
+  }
+
+  /**
+   * Delete the data at this node after a time. The current value is
+   * written again with the expiry, so peers learn about it too
+   * @param {number} ttl - Milliseconds until the data is deleted
+   * @return {Promise<Object>} - Resolves like put(), rejected if there is
+   *   no data at this node
+   */
+  expire(ttl) {
+    const value = this.bullet.crt._lookup(this.path);
+
+    if (value === undefined) {
+      return Promise.reject(new Error(`No data to expire at ${this.path}`));
+    }
+    return this.put(value, { ttl });
+  }
+
+  /**
+   * List the versions of this node, oldest first. Writes to its ancestors
+   * and descendants are versions of this node too
+   * @return {Array<Object>} - { version, timestamp, path, value, origin,
+   *   peerId }, path being the path that was written
+   */
+  history() {
+    return this.bullet.history.list(this.path);
+  }
+
+  /**
+   * Get the value this node had at a point in time
+   * @param {number|Date} timestamp - Point in time
+   * @return {*} - Value, or undefined if the node did not exist then or
+   *   its history from then is no longer kept
+   */
+  at(timestamp) {
+    return this.bullet.history.at(this.path, timestamp);
+  }
+
+  /**
+   * Write the value this node had at a version again. The revert is a new
+   * write, so it syncs to peers and is itself recorded in the history
+   * @param {number} version - Version number from history()
+   * @return {Promise<Object>} - Resolves like put(), rejected if the
+   *   version is not in this node's history
+   */
+  revert(version) {
+    const history = this.bullet.history;
+
+    if (!history.list(this.path).some((entry) => entry.version === version)) {
+      return Promise.reject(
+        new Error(`No version ${version} in the history of ${this.path}`)
+      );
+    }
+
+    const value = history.valueAt(this.path, version);
+    return this.put(value === undefined ? null : value);
+  }
+
+  /**
+   * Get the value at this node once it exists
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout] - Milliseconds to wait before
+   *   rejecting; waits indefinitely if omitted
+   * @return {Promise<*>} - The current value, or the first value written
+   */
+  once(options = {}) {
+    if (this.exists()) {
+      return Promise.resolve(this.value());
+    }
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+      const listener = (value) => {
+        if (value === null || value === undefined) return;
+        clearTimeout(timeoutId);
+        this.off(listener);
+        resolve(value);
+      };
+
+      if (options.timeout !== undefined) {
+        timeoutId = setTimeout(() => {
+          this.off(listener);
+          reject(
+            new Error(
+              `No data at ${this.path} within ${options.timeout}ms`
+            )
+          );
+        }, options.timeout);
+      }
+
+      this._listen(listener);
+    });
+  }
+
+  /**
+   * Iterate over the changes at this node with for await. Writes are never
+   * held back for a slow consumer, so changes made while it is busy are
+   * buffered. Once more than bufferSize are waiting the oldest are dropped
+   * and counted in the iterator's dropped property, or with overflow set
+   * to "error" the iterator throws instead. Stop iterating to unsubscribe
+   * @param {Object} [options] - Options
+   * @param {number} [options.bufferSize=100] - Changes held for a slow
+   *   consumer
+   * @param {string} [options.overflow="drop"] - "drop" to skip the oldest
+   *   changes when the buffer is full, "error" to throw
+   * @return {AsyncIterableIterator<*>} - Values in the order they were set,
+   *   with dropped counting the changes that were skipped
+   */
+  changes(options = {}) {
+    const { bufferSize = 100, overflow = "drop" } = options;
+    const queue = [];
+    let waiting = null;
+
+    const listener = (value) => {
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve(value);
+        return;
+      }
+      queue.push(value);
+      if (queue.length > bufferSize) {
+        queue.shift();
+        iterator.dropped++;
+      }
+    };
+    this._listen(listener);
+
+    const node = this;
+    const iterator = (async function* () {
+      try {
+        while (true) {
+          if (iterator.dropped > 0 && overflow === "error") {
+            throw new Error(
+              `More than ${bufferSize} changes at ${node.path} were waiting`
+            );
+          }
+          yield queue.length > 0
+            ? queue.shift()
+            : await new Promise((resolve) => {
+                waiting = resolve;
+              });
+        }
+      } finally {
+        node.off(listener);
+      }
+    })();
+    iterator.dropped = 0;
+
+    return iterator;
   }
 
   /**
    * Subscribe to changes at this node
    * @param {Function} callback - Function to call when data changes
+   * @param {Object} [options] - Subscription options
+   * @param {boolean} [options.detailed=false] - Pass a change event as the
+   *   second argument: { path, oldValue, newValue, diff, origin, peerId,
+   *   vectorClock }, origin being "local", "network", "sync", "import",
+   *   "expire" or "compute"
    * @return {BulletNode} - This node for chaining
    */
-  on(callback) {
-    if (!this.bullet.listeners[this.path]) {
-      this.bullet.listeners[this.path] = [];
+  on(callback, options = {}) {
+    if (options.detailed) {
+      const listener = (value, event) => callback(value, event);
+      listener.detailed = true;
+      listener.callback = callback;
+      this._listen(listener);
+    } else {
+      this._listen(callback);
     }
 
-    this.bullet.listeners[this.path].push(callback);
-
     callback(this.value());
 
     return this;
   }
 
+  /**
+   * Add a listener without calling it with the current value
+   * @param {Function} callback - Function to call when data changes
+   * @private
+   */
+  _listen(callback) {
+    if (!this.bullet.listeners[this.path]) {
+      this.bullet.listeners[this.path] = [];
+    }
+
+    this.bullet.listeners[this.path].push(callback);
+  }
+
   /**
    * Create or access a child node
    * @param {string} childPath - Path to the child
@@ -726,7 +2153,7 @@ class BulletNode {
    */
   get(childPath) {
     const fullPath = this.path ? `${this.path}/${childPath}` : childPath;
-    return new BulletNode(this.bullet, fullPath);
+    return new BulletNode(this.bullet, this.bullet._resolvePath(fullPath));
   }
 
   /**
@@ -737,7 +2164,9 @@ class BulletNode {
   off(callback) {
     if (this.bullet.listeners[this.path]) {
       if (callback) {
-        const index = this.bullet.listeners[this.path].indexOf(callback);
+        const index = this.bullet.listeners[this.path].findIndex(
+          (listener) => listener === callback || listener.callback === callback
+        );
         if (index >= 0) {
           this.bullet.listeners[this.path].splice(index, 1);
         }
@@ -745,9 +2174,55 @@ class BulletNode {
         this.bullet.listeners[this.path] = [];
       }
     }
+    this.bullet.patterns.remove(this._childPattern(), callback);
     return this;
   }
 
+  /**
+   * Add an item to the collection at this node under a generated key. Keys
+   * sort by creation time and include the peer ID, so items added by
+   * different peers never clash
+   * @param {*} item - Item to add
+   * @return {BulletNode} - Node of the new item
+   */
+  set(item) {
+    const child = this.get(this.bullet._generateKey());
+    child.put(item);
+    return child;
+  }
+
+  /**
+   * Call a function for every child of this node, now and whenever a
+   * child is added, changed or removed. Remove it with off(callback)
+   * @param {Function} callback - Function(value, key), value being null
+   *   once the child is removed, also by removing this node or writing it
+   *   without the child
+   * @return {BulletNode} - This node for chaining
+   */
+  map(callback) {
+    const listener = (value, { params }) => callback(value, params.key);
+    listener.callback = callback;
+    this.bullet.patterns.add(this._childPattern(), listener);
+
+    const value = this.value();
+    if (typeof value === "object" && value !== null) {
+      for (const [key, child] of Object.entries(value)) {
+        callback(child, key);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the pattern matching the children of this node
+   * @return {string} - Pattern
+   * @private
+   */
+  _childPattern() {
+    return this.path ? `${this.path}/:key` : ":key";
+  }
+
   /**
    * Remove this node and its data
    * @return {BulletNode} - This node for chaining
@@ -756,6 +2231,266 @@ class BulletNode {
     this.bullet.setData(this.path, null);
     return this;
   }
+
+  /**
+   * Increment the counter at this node. Counters keep a tally per peer, so
+   * concurrent increments from different peers all count
+   * @param {number} [amount=1] - Amount to add
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  increment(amount = 1) {
+    return this._count(amount);
+  }
+
+  /**
+   * Decrement the counter at this node
+   * @param {number} [amount=1] - Amount to subtract
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  decrement(amount = 1) {
+    return this._count(-amount);
+  }
+
+  /**
+   * Add an item to the set at this node. Sets merge concurrent adds and
+   * removes from all peers, with adds winning over concurrent removes
+   * @param {*} item - Item to add
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  add(item) {
+    return this._operate("set", (state, peerId) => {
+      state.adds[this.bullet.crdt.createTag(state, peerId)] = item;
+    });
+  }
+
+  /**
+   * Delete this node and its data, running the delete middleware
+   * @return {BulletNode} - This node for chaining
+   */
+  delete(...items) {
+    // Sets used to remove items through delete(item)
+    if (items.length > 0) {
+      throw new Error(
+        "delete() deletes the node, use removeItem() to remove a set item"
+      );
+    }
+
+    const middleware = this.bullet.middleware;
+    if (middleware && !middleware.runDeleteHooks(this.path)) {
+      return this;
+    }
+
+    const oldData = this.bullet._getData(this.path);
+    this.remove();
+
+    if (middleware) {
+      middleware.runAfterDeleteHooks(this.path, oldData);
+    }
+    return this;
+  }
+
+  /**
+   * Remove an item from the set at this node
+   * @param {*} item - Item to remove
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  removeItem(item) {
+    const key = JSON.stringify(item);
+    return this._operate("set", (state) => {
+      for (const [tag, entry] of Object.entries(state.adds)) {
+        if (JSON.stringify(entry) === key) {
+          delete state.adds[tag];
+          state.removed[tag] = true;
+        }
+      }
+    });
+  }
+
+  /**
+   * Check whether the set at this node contains an item
+   * @param {*} item - Item to look for
+   * @return {boolean} - Whether the item is in the set
+   */
+  has(item) {
+    const items = this.bullet.crt ? this.bullet.crt._lookup(this.path) : null;
+    if (!Array.isArray(items)) return false;
+
+    const key = JSON.stringify(item);
+    return items.some((entry) => JSON.stringify(entry) === key);
+  }
+
+  /**
+   * Insert a value into the list at this node. Lists keep every concurrent
+   * insert from every peer, in the same order everywhere
+   * @param {number} index - Position to insert at
+   * @param {*} value - Value to insert
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  insertAt(index, value) {
+    return this._operate("list", (state, peerId) => {
+      const order = this.bullet.crdt.listOrder(state);
+      this._checkIndex(index, order.length);
+
+      state.items[this.bullet.crdt.createElementId(state, peerId)] = {
+        value,
+        after: index === 0 ? null : order[index - 1],
+      };
+    });
+  }
+
+  /**
+   * Remove the value at a position from the list at this node
+   * @param {number} index - Position to remove
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  removeAt(index) {
+    return this._operate("list", (state) => {
+      const order = this.bullet.crdt.listOrder(state);
+      this._checkIndex(index, order.length - 1);
+
+      const id = order[index];
+      state.items[id] = {
+        value: null,
+        after: state.items[id].after,
+        deleted: true,
+      };
+    });
+  }
+
+  /**
+   * Move a value within the list at this node. A move is a remove plus an
+   * insert, so concurrent moves of the same value keep both copies
+   * @param {number} from - Current position
+   * @param {number} to - New position
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  move(from, to) {
+    return this._operate("list", (state, peerId) => {
+      const order = this.bullet.crdt.listOrder(state);
+      this._checkIndex(from, order.length - 1);
+      this._checkIndex(to, order.length - 1);
+
+      const id = order[from];
+      const { value, after } = state.items[id];
+      state.items[id] = { value: null, after, deleted: true };
+
+      const remaining = order.filter((other) => other !== id);
+      state.items[this.bullet.crdt.createElementId(state, peerId)] = {
+        value,
+        after: to === 0 ? null : remaining[to - 1],
+      };
+    });
+  }
+
+  /**
+   * Insert text into the text at this node. Concurrent edits from all peers
+   * interleave character by character, and only the inserted characters
+   * are sent to peers
+   * @param {number} position - Character position to insert at
+   * @param {string} text - Text to insert
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  insertText(position, text) {
+    return this._operate("text", (state, peerId) => {
+      const order = this.bullet.crdt.listOrder(state);
+      this._checkIndex(position, order.length);
+
+      let after = position === 0 ? null : order[position - 1];
+      for (const char of String(text)) {
+        const id = this.bullet.crdt.createElementId(state, peerId);
+        state.items[id] = { value: char, after };
+        after = id;
+      }
+    });
+  }
+
+  /**
+   * Delete characters from the text at this node
+   * @param {number} position - Position of the first character to delete
+   * @param {number} [length=1] - Number of characters to delete
+   * @return {BulletNode} - This node for chaining, resolving like put()
+   *   when awaited
+   */
+  deleteText(position, length = 1) {
+    return this._operate("text", (state) => {
+      const order = this.bullet.crdt.listOrder(state);
+      this._checkIndex(position, order.length);
+      this._checkIndex(position + length, order.length);
+
+      for (const id of order.slice(position, position + length)) {
+        state.items[id] = {
+          value: null,
+          after: state.items[id].after,
+          deleted: true,
+        };
+      }
+    });
+  }
+
+  /**
+   * Check that a list position is within bounds
+   * @param {number} index - Position
+   * @param {number} max - Highest valid position
+   * @private
+   */
+  _checkIndex(index, max) {
+    if (!Number.isInteger(index) || index < 0 || index > max) {
+      throw new RangeError(`List index out of range: ${index}`);
+    }
+  }
+
+  /**
+   * Add a signed amount to this peer's counter tallies
+   * @param {number} amount - Amount to add (negative to subtract)
+   * @return {BulletNode} - This node, resolving like put() when awaited
+   * @private
+   */
+  _count(amount) {
+    if (typeof amount !== "number" || !Number.isFinite(amount)) {
+      throw new TypeError("Counter amount must be a finite number");
+    }
+
+    return this._operate("counter", (state, peerId) => {
+      const tally = amount >= 0 ? state.p : state.n;
+      tally[peerId] = (tally[peerId] || 0) + Math.abs(amount);
+    });
+  }
+
+  /**
+   * Apply a local operation to the CRDT at this node
+   * @param {string} type - CRDT type name
+   * @param {Function} operation - Function(state, peerId) mutating the state
+   * @return {BulletNode} - This node, resolving like put() when awaited
+   * @private
+   */
+  _operate(type, operation) {
+    const write = this._crdt().update(this.path, type, operation);
+    // An operation that is not awaited must not raise an unhandled rejection
+    write.catch(() => {});
+    return this._awaitable(write);
+  }
+
+  /**
+   * Get the CRDT registry backing this node's replicated types
+   * @return {BulletCRDT} - CRDT registry
+   * @private
+   */
+  _crdt() {
+    if (!this.bullet.crdt) {
+      throw new Error(
+        "Replicated data types require conflict resolution to be enabled"
+      );
+    }
+    return this.bullet.crdt;
+  }
 }
 
 module.exports = Bullet;
@@ -0,0 +1,90 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("batch", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("apply each write as it is made", () => {
+    const seen = a.batch(() => {
+      a.get("users/alice/age").put(30);
+      return a.get("users/alice/age").value();
+    });
+
+    expect(seen).toBe(30);
+  });
+
+  test("notify each changed path and its ancestors once", () => {
+    const users = [];
+    const alice = [];
+    a.get("users").on((value) => users.push(value));
+    a.get("users/alice").on((value) => alice.push(value));
+    users.length = 0;
+    alice.length = 0;
+
+    a.batch(() => {
+      a.get("users/alice/age").put(30);
+      a.get("users/alice/age").put(31);
+      a.get("users/bob/age").put(25);
+    });
+
+    expect(alice).toEqual([{ age: 31 }]);
+    expect(users).toEqual([{ alice: { age: 31 }, bob: { age: 25 } }]);
+  });
+
+  test("send peers a single message, joining nested batches", () => {
+    a.batch(() => {
+      a.get("users/alice").put({ age: 30 });
+      a.batch(() => a.get("users/bob").put({ age: 25 }));
+    });
+
+    expect(link.queue).toHaveLength(1);
+    expect(JSON.parse(link.queue[0].message).type).toBe("batch");
+
+    link.flush();
+    expect(b.get("users").value()).toEqual({
+      alice: { age: 30 },
+      bob: { age: 25 },
+    });
+  });
+
+  test("update indices once per path when the batch ends", () => {
+    a.index("scores");
+    const update = jest.spyOn(a.query, "_updateIndices");
+
+    a.batch(() => {
+      a.get("scores/alice").put(1);
+      a.get("scores/alice").put(2);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(a.equals("scores", null, 2).map((node) => node.path)).toEqual([
+      "scores/alice",
+    ]);
+  });
+
+  test("keep earlier writes when a later one is rejected", () => {
+    a.beforePut((path) => (path === "blocked" ? false : undefined));
+
+    a.batch(() => {
+      a.get("allowed").put(1);
+      a.get("blocked").put(2).catch(() => {});
+    });
+
+    expect(a.get("allowed").value()).toBe(1);
+    expect(a.get("blocked").value()).toBeUndefined();
+  });
+});
@@ -0,0 +1,110 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+/**
+ * Deliver the first queued message to a peer that matches, leaving the
+ * rest queued
+ * @param {Link} link - Link holding the messages
+ * @param {Bullet} to - Receiving peer
+ * @param {Function} match - Predicate on the parsed message
+ */
+function deliver(link, to, match) {
+  const index = link.queue.findIndex(
+    (queued) => queued.to === to && match(JSON.parse(queued.message))
+  );
+  const [{ from, message }] = link.queue.splice(index, 1);
+  to.network._handlePeerMessage(from.id, JSON.parse(message));
+}
+
+describe("causal delivery", () => {
+  let a;
+  let b;
+  let c;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a", { causalDelivery: true });
+    b = createPeer("peer-b", { causalDelivery: true });
+    c = createPeer("peer-c", { causalDelivery: true });
+    link = new Link();
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b, c);
+    jest.restoreAllMocks();
+  });
+
+  test("holds a write until an earlier write to another path arrives", () => {
+    link.connect(a, b);
+    a.get("docs/1").put({ title: "Plan" });
+    a.get("index/1").put(true);
+
+    deliver(link, b, (message) => message.path === "index/1");
+    expect(b.get("index/1").value()).toBeUndefined();
+    expect(b.network.getCausalStats().pending).toBe(1);
+
+    deliver(link, b, (message) => message.path === "docs/1");
+    expect(b.get("docs/1").value()).toEqual({ title: "Plan" });
+    expect(b.get("index/1").value()).toBe(true);
+    expect(b.network.getCausalStats()).toMatchObject({
+      delivered: 2,
+      buffered: 1,
+      pending: 0,
+    });
+  });
+
+  test("holds a write until what its writer had seen arrives", () => {
+    link.connect(a, b).connect(b, c).connect(a, c);
+    a.get("docs/1").put({ title: "Plan" });
+    deliver(link, b, (message) => message.path === "docs/1");
+
+    b.get("comments/1").put({ on: "docs/1" });
+    deliver(
+      link,
+      c,
+      (message) => message.path === "comments/1" && message.origin === "peer-b"
+    );
+    expect(c.get("comments/1").value()).toBeUndefined();
+
+    deliver(
+      link,
+      c,
+      (message) => message.path === "docs/1" && message.origin === "peer-a"
+    );
+    expect(c.get("docs/1").value()).toEqual({ title: "Plan" });
+    expect(c.get("comments/1").value()).toEqual({ on: "docs/1" });
+  });
+
+  test("rechecks only the updates a delivered write releases", () => {
+    link.connect(a, b);
+    for (let i = 1; i <= 50; i++) {
+      a.get(`items/${i}`).put(i);
+    }
+    const values = [];
+    b.get("items").on((items) => values.push(Object.keys(items || {}).length));
+    const check = jest.spyOn(b.crt, "missingDependency");
+
+    link.queue.reverse();
+    link.flush();
+
+    expect(b.get("items").value()).toEqual(
+      Object.fromEntries(
+        Array.from({ length: 50 }, (_, i) => [String(i + 1), i + 1])
+      )
+    );
+    expect(values).toEqual(Array.from({ length: 51 }, (_, i) => i));
+    expect(check.mock.calls.length).toBeLessThan(150);
+  });
+
+  test("applies updates without a causal clock on arrival", () => {
+    b.network._handlePeerMessage("peer-x", {
+      id: "legacy-1",
+      type: "put",
+      path: "status",
+      data: { value: "up", __vectorClock: { "peer-x": 5 } },
+    });
+
+    expect(b.get("status/value").value()).toBe("up");
+    expect(b.network.getCausalStats().buffered).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("detailed change events", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a", { enableSerializer: true });
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Collect the change events of a node, skipping the initial call
+   * @param {Bullet} peer - Peer to listen on
+   * @param {string} path - Node path
+   * @return {Array<Object>} - Events as they arrive
+   */
+  function listen(peer, path) {
+    const events = [];
+    peer.get(path).on((value, event) => event && events.push(event), {
+      detailed: true,
+    });
+    events.length = 0;
+    return events;
+  }
+
+  test("describe a local write with its old value and diff", async () => {
+    await a.get("users/alice").put({ name: "Alice", status: "away" });
+    const events = listen(a, "users/alice");
+
+    await a.get("users/alice").put({ name: "Alice", status: "online" });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      oldValue: { name: "Alice", status: "away" },
+      origin: "local",
+      peerId: "peer-a",
+      diff: [
+        {
+          path: "status",
+          type: "change",
+          oldValue: "away",
+          newValue: "online",
+        },
+      ],
+    });
+  });
+
+  test("name the peer a network write came from", async () => {
+    const events = listen(b, "users/alice");
+
+    await a.get("users/alice/status").put("online");
+    link.flush();
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ origin: "network", peerId: "peer-a" });
+  });
+
+  test("describe a descendant write to an ancestor listener", async () => {
+    const events = listen(a, "users");
+
+    await a.get("users/alice/status").put("online");
+
+    expect(events).toHaveLength(1);
+    expect(events[0].diff).toEqual([
+      { path: "alice/status", type: "add", newValue: "online" },
+    ]);
+    expect(events[0].origin).toBe("local");
+  });
+
+  test("mark imported data", () => {
+    const events = listen(a, "users");
+
+    a.importFromJSON(
+      JSON.stringify({
+        format: "bullet-json",
+        version: "1.0",
+        path: "users",
+        data: { alice: { status: "online" } },
+      })
+    );
+
+    expect(events).toHaveLength(1);
+    expect(events[0].origin).toBe("import");
+  });
+
+  test("leave plain listeners with the value only", async () => {
+    const calls = [];
+    a.get("status").on((...args) => calls.push(args));
+    calls.length = 0;
+
+    await a.get("status").put("up");
+
+    expect(calls).toEqual([["up"]]);
+  });
+});
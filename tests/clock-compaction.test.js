@@ -0,0 +1,113 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("clock compaction", () => {
+  let a;
+  let b;
+  let c;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    c = createPeer("peer-c");
+    link = new Link();
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b, c);
+    jest.restoreAllMocks();
+  });
+
+  test("retires a peer once every known peer has seen its writes", async () => {
+    link.connect(a, b).connect(a, c).connect(b, c);
+    c.get("users/carol").put({ name: "Carol" });
+    link.flush();
+    link.disconnect(a, c);
+    link.disconnect(b, c);
+
+    const compaction = a.compactClocks({ peers: ["peer-c"] });
+    link.flush();
+
+    expect(await compaction).toEqual(["peer-c"]);
+    expect(b.crt.retiredPeers.has("peer-c")).toBe(true);
+    expect(a.meta["users/carol"].vectorClock).toEqual({ "*": 1 });
+    expect(b.meta["users/carol"].vectorClock).toEqual({ "*": 1 });
+  });
+
+  test("keeps a peer whose writes a known peer has not seen", async () => {
+    link.connect(a, c);
+    c.get("users/carol").put({ name: "Carol" });
+    link.flush();
+    link.disconnect(a, c);
+    link.connect(a, b);
+
+    const compaction = a.compactClocks({ peers: ["peer-c"] });
+    link.flush();
+
+    expect(await compaction).toEqual([]);
+    expect(a.crt.retiredPeers.size).toBe(0);
+    expect(b.crt.retiredPeers.size).toBe(0);
+  });
+
+  test("keeps a peer that another peer is still connected to", async () => {
+    link.connect(a, b).connect(a, c).connect(b, c);
+    c.get("users/carol").put({ name: "Carol" });
+    link.flush();
+    link.disconnect(a, c);
+
+    const compaction = a.compactClocks({ peers: ["peer-c"] });
+    link.flush();
+
+    expect(await compaction).toEqual([]);
+  });
+
+  test("retires nobody when a known peer does not answer", async () => {
+    link.connect(a, b).connect(a, c);
+    c.get("users/carol").put({ name: "Carol" });
+    link.flush();
+    link.disconnect(a, c);
+    link.disconnect(a, b);
+
+    const retired = await a.compactClocks({ peers: ["peer-c"], timeout: 20 });
+
+    expect(retired).toEqual([]);
+    expect(a.meta["users/carol"].vectorClock).toEqual({ "peer-c": 1 });
+  });
+
+  test("ignores writes from a retired peer that comes back", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    link.connect(a, c);
+    c.get("users/carol").put({ name: "Carol" });
+    link.flush();
+    link.disconnect(a, c);
+    await a.compactClocks({ peers: ["peer-c"] });
+
+    link.connect(a, c);
+    c.get("users/carol/name").put("Mallory");
+    link.flush();
+
+    expect(a.get("users/carol/name").value()).toBe("Carol");
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("retired peer peer-c")
+    );
+  });
+
+  test("refuses a retirement it did not agree to", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    link.connect(a, b).connect(b, c);
+    c.get("users/carol").put({ name: "Carol" });
+    link.flush();
+    link.disconnect(b, c);
+
+    // Nobody asked b whether it has seen all of peer-c's writes
+    a.network.broadcastRetiredPeers(["peer-c"], "unknown-proposal");
+    link.flush();
+
+    expect(b.crt.retiredPeers.size).toBe(0);
+    expect(b.meta["users/carol"].vectorClock).toEqual({ "peer-c": 1 });
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("Not retiring peer-c")
+    );
+  });
+});
@@ -0,0 +1,75 @@
+const { createPeer, closeAll } = require("./helpers");
+
+describe("collections", () => {
+  let bullet;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    bullet = createPeer("peer-a");
+  });
+
+  afterEach(async () => {
+    await closeAll(bullet);
+    jest.restoreAllMocks();
+  });
+
+  test("set() adds items under keys that sort by creation", () => {
+    const todos = bullet.get("todos");
+    const first = todos.set({ title: "one" });
+    const second = todos.set({ title: "two" });
+
+    expect(first.path).not.toBe(second.path);
+    expect(
+      Object.keys(todos.value()).map((key) => todos.value()[key].title)
+    ).toEqual(["one", "two"]);
+  });
+
+  test("map() calls back for existing and new children", () => {
+    bullet.get("todos/a").put({ title: "one" });
+    const calls = [];
+
+    bullet.get("todos").map((item, key) => calls.push([key, item]));
+    bullet.get("todos/b").put({ title: "two" });
+
+    expect(calls).toEqual([
+      ["a", { title: "one" }],
+      ["b", { title: "two" }],
+    ]);
+  });
+
+  test("map() reports null for a removed child", () => {
+    bullet.get("todos/a").put({ title: "one" });
+    const calls = [];
+    bullet.get("todos").map((item, key) => calls.push([key, item]));
+    calls.length = 0;
+
+    bullet.get("todos/a").remove();
+
+    expect(calls).toEqual([["a", null]]);
+  });
+
+  test("map() reports null for children the parent lost", () => {
+    bullet.get("todos").put({ a: { title: "one" }, b: { title: "two" } });
+    const calls = [];
+    bullet.get("todos").map((item, key) => calls.push([key, item]));
+    calls.length = 0;
+
+    bullet.get("todos").put({ a: { title: "one" } });
+    expect(calls).toContainEqual(["b", null]);
+
+    calls.length = 0;
+    bullet.get("todos").remove();
+    expect(calls).toEqual([["a", null]]);
+  });
+
+  test("off() stops map() callbacks", () => {
+    const calls = [];
+    const callback = (item, key) => calls.push(key);
+    bullet.get("todos").map(callback);
+    bullet.get("todos").off(callback);
+
+    bullet.get("todos/a").put({ title: "one" });
+
+    expect(calls).toEqual([]);
+  });
+});
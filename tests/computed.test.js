@@ -0,0 +1,97 @@
+const { createPeer, closeAll } = require("./helpers");
+
+describe("computed nodes", () => {
+  let bullet;
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    bullet = createPeer("peer-a");
+    bullet.get("users/alice").put({ name: "Alice", age: 30 });
+  });
+
+  afterEach(async () => {
+    await closeAll(bullet);
+    jest.restoreAllMocks();
+  });
+
+  test("derive their value from their dependencies", async () => {
+    bullet.compute("names", ["users/alice"], (alice) => alice && alice.name);
+
+    expect(bullet.get("names").value()).toBe("Alice");
+    await expect(bullet.get("names").put("x")).rejects.toThrow(
+      /computed node/
+    );
+  });
+
+  test("recompute after a write below a dependency", () => {
+    bullet.compute("names", ["users/alice"], (alice) => alice && alice.name);
+
+    bullet.get("users/alice/name").put("Alicia");
+
+    expect(bullet.get("names").value()).toBe("Alicia");
+  });
+
+  test("recompute after an ancestor of a dependency is removed", () => {
+    bullet.compute("names", ["users/alice"], (alice) =>
+      alice ? alice.name : null
+    );
+    expect(bullet.get("names").value()).toBe("Alice");
+
+    bullet.get("users").remove();
+
+    expect(bullet.get("names").value()).toBeNull();
+  });
+
+  test("recompute after an ancestor is rewritten without the dependency", () => {
+    bullet.compute("names", ["users/alice"], (alice) =>
+      alice ? alice.name : null
+    );
+
+    bullet.get("users").put({ bob: { name: "Bob" } });
+
+    expect(bullet.get("names").value()).toBeNull();
+  });
+
+  test("notify listeners once per burst of changes", async () => {
+    bullet.compute("age", ["users/alice/age"], (age) => age, {
+      debounce: 1,
+    });
+    const calls = [];
+    bullet.get("age").on((value) => calls.push(value));
+    calls.length = 0;
+
+    bullet.get("users/alice/age").put(31);
+    bullet.get("users/alice/age").put(32);
+    await tick();
+
+    expect(calls).toEqual([32]);
+  });
+
+  test("can depend on other computed nodes", async () => {
+    bullet.compute("age", ["users/alice/age"], (age) => age);
+    bullet.compute("nextAge", ["age"], (age) => age + 1);
+
+    bullet.get("users/alice/age").put(40);
+    await tick();
+
+    expect(bullet.get("nextAge").value()).toBe(41);
+  });
+
+  test("keep their value and emit an error when the function throws", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const errors = [];
+    bullet.on("error", (event) => errors.push(event));
+    bullet.compute("age", ["users/alice/age"], (age) => {
+      if (age > 100) throw new Error("Too old");
+      return age;
+    });
+
+    bullet.get("users/alice/age").put(120);
+
+    expect(bullet.get("age").value()).toBe(30);
+    expect(errors).toEqual([
+      { operation: "compute", path: "age", error: new Error("Too old") },
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("conflicts", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b", { conflictLogSize: 2 });
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("record both sides of a concurrent write", () => {
+    const events = [];
+    a.on("conflict", (conflict) => events.push(conflict));
+
+    a.get("users/alice/age").put(30);
+    b.get("users/alice/age").put(31);
+    link.flush();
+
+    const [conflict] = a.conflicts("users/alice");
+    expect(conflict).toMatchObject({
+      path: "users/alice/age",
+      incoming: { value: 31, vectorClock: { "peer-b": 1 } },
+      current: { value: 30, vectorClock: { "peer-a": 1 } },
+      merged: a.get("users/alice/age").value(),
+      manual: false,
+    });
+    expect(events).toEqual([conflict]);
+    expect(a.conflicts("users/bob")).toEqual([]);
+  });
+
+  test("leave out writes that agree or are causally ordered", () => {
+    a.get("status").put("up");
+    b.get("status").put("up");
+    link.flush();
+    a.get("status").put("down");
+    link.flush();
+
+    expect(a.conflicts()).toEqual([]);
+    expect(b.conflicts()).toEqual([]);
+  });
+
+  test("keep only the most recent conflictLogSize conflicts", () => {
+    for (const key of ["x", "y", "z"]) {
+      a.get(key).put(1);
+      b.get(key).put(2);
+    }
+    link.flush();
+
+    expect(b.conflicts().map(({ path }) => path)).toEqual(["y", "z"]);
+  });
+
+  test("keep siblings under the manual strategy until resolved", () => {
+    a.crt.strategy("docs/*/title", "manual");
+    b.crt.strategy("docs/*/title", "manual");
+
+    a.get("docs/1/title").put("Draft");
+    b.get("docs/1/title").put("Final");
+    link.flush();
+
+    const [pending] = a.pendingConflicts();
+    expect(pending.path).toBe("docs/1/title");
+    expect(pending.siblings.map(({ value }) => value).sort()).toEqual([
+      "Draft",
+      "Final",
+    ]);
+    expect(a.conflicts()[0].manual).toBe(true);
+
+    a.resolveConflict("docs/1/title", "Final draft");
+    link.flush();
+
+    for (const peer of [a, b]) {
+      expect(peer.get("docs/1/title").value()).toBe("Final draft");
+      expect(peer.pendingConflicts()).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,222 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("replicated data types", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a", { enableSync: true });
+    b = createPeer("peer-b", { enableSync: true });
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("concurrent text edits interleave on every peer", () => {
+    a.get("doc").insertText(0, "Hello");
+    link.flush();
+
+    a.get("doc").insertText(5, "!");
+    b.get("doc").insertText(0, ">");
+    link.flush();
+
+    expect(a.get("doc").value()).toBe(">Hello!");
+    expect(b.get("doc").value()).toBe(">Hello!");
+  });
+
+  test("counters converted concurrently count the prior value once", () => {
+    a.get("likes").put(10);
+    link.flush();
+
+    a.get("likes").increment();
+    b.get("likes").increment();
+    link.flush();
+
+    expect(a.get("likes").value()).toBe(12);
+    expect(b.get("likes").value()).toBe(12);
+  });
+
+  test("lists converted concurrently keep their items once", () => {
+    a.get("items").put(["x", "y"]);
+    link.flush();
+
+    a.get("items").insertAt(2, "a");
+    b.get("items").insertAt(0, "b");
+    link.flush();
+
+    expect(a.get("items").value()).toEqual(["b", "x", "y", "a"]);
+    expect(b.get("items").value()).toEqual(["b", "x", "y", "a"]);
+  });
+
+  test("local operations only send the delta", () => {
+    a.get("doc").insertText(0, "Hello");
+    link.flush();
+
+    a.get("doc").insertText(5, "!");
+    const [{ message }] = link.queue;
+    const { data } = JSON.parse(message);
+
+    expect(data.__crdtDelta).toBe(true);
+    expect(Object.keys(data.__crdt.items)).toHaveLength(1);
+  });
+
+  test("a delta without its base state fetches the full state", () => {
+    a.get("doc").insertText(0, "Hello");
+    link.queue = [];
+
+    a.get("doc").insertText(5, " world");
+    link.flush();
+
+    expect(b.get("doc").value()).toBe("Hello world");
+    expect(b.crdt.getState("doc", "text")).toEqual(
+      a.crdt.getState("doc", "text")
+    );
+  });
+
+  test("a delta is never taken as the whole state", async () => {
+    // Without sync there is nobody to ask, so the delta is dropped
+    const c = createPeer("peer-c");
+    const d = createPeer("peer-d");
+    const other = new Link().connect(c, d);
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    c.get("items").insertAt(0, "x");
+    other.queue = [];
+    c.get("items").insertAt(1, "y");
+    other.flush();
+
+    expect(d.get("items").value()).toBeUndefined();
+    expect(console.warn).toHaveBeenCalled();
+    await closeAll(c, d);
+  });
+
+  test("middleware sees the value an operation leaves", () => {
+    const before = jest.fn((path, data) => data);
+    const after = jest.fn();
+    const written = jest.fn();
+    a.beforePut(before);
+    a.afterPut(after);
+    a.middleware.on("write", written);
+
+    a.get("likes").increment(3);
+
+    expect(before).toHaveBeenCalledWith("likes", 3);
+    expect(after).toHaveBeenCalledWith("likes", 3, undefined);
+    expect(written).toHaveBeenCalledWith({
+      path: "likes",
+      data: 3,
+      oldData: undefined,
+    });
+  });
+
+  test("middleware can cancel an operation", async () => {
+    a.get("tags").add("red");
+    a.beforePut((path) => path !== "tags");
+
+    await expect(a.get("tags").add("blue")).rejects.toThrow(
+      "Write to tags was cancelled by middleware"
+    );
+
+    expect(a.get("tags").value()).toEqual(["red"]);
+  });
+
+  test("validation checks the value an operation leaves", async () => {
+    a.defineSchema("stock", {
+      type: "object",
+      properties: { apples: { type: "number", max: 5 } },
+    });
+    a.applySchema("stock", "stock");
+
+    await expect(a.get("stock/apples").increment(3)).resolves.toMatchObject({
+      value: 3,
+      applied: true,
+    });
+    await expect(a.get("stock/apples").increment(4)).rejects.toThrow(
+      "Validation failed for path: stock/apples"
+    );
+    expect(a.get("stock/apples").value()).toBe(3);
+  });
+
+  test("indices hold the value an operation leaves", () => {
+    a.index("scores");
+
+    a.get("scores/alice").increment(3);
+
+    expect(a.equals("scores", null, 3).map((node) => node.path)).toEqual([
+      "scores/alice",
+    ]);
+  });
+
+  test("lists keep concurrent inserts at the same position", () => {
+    a.get("playlist").insertAt(0, "intro").insertAt(1, "outro");
+    link.flush();
+
+    a.get("playlist").insertAt(1, "song A");
+    b.get("playlist").insertAt(1, "song B");
+    b.get("playlist").removeAt(0);
+    link.flush();
+
+    const expected = b.get("playlist").value();
+    expect([...expected].sort()).toEqual(["outro", "song A", "song B"]);
+    expect(expected[2]).toBe("outro");
+    expect(a.get("playlist").value()).toEqual(expected);
+  });
+
+  test("lists place inserts after an element removed concurrently", () => {
+    a.get("todo").insertAt(0, "buy").insertAt(1, "cook");
+    link.flush();
+
+    a.get("todo").insertAt(1, "wash");
+    b.get("todo").removeAt(0);
+    link.flush();
+
+    expect(a.get("todo").value()).toEqual(["wash", "cook"]);
+    expect(b.get("todo").value()).toEqual(["wash", "cook"]);
+  });
+
+  test("lists move an element", () => {
+    a.get("todo").insertAt(0, "buy").insertAt(1, "cook").insertAt(2, "eat");
+    a.get("todo").move(0, 2);
+    link.flush();
+
+    expect(a.get("todo").value()).toEqual(["cook", "eat", "buy"]);
+    expect(b.get("todo").value()).toEqual(["cook", "eat", "buy"]);
+  });
+
+  test("sets keep an add made concurrently with a removal", () => {
+    a.get("tags").add("news").add("tech");
+    link.flush();
+
+    a.get("tags").removeItem("tech");
+    b.get("tags").add("tech").add("ai");
+    link.flush();
+
+    expect(a.get("tags").value()).toEqual(["ai", "news", "tech"]);
+    expect(b.get("tags").value()).toEqual(["ai", "news", "tech"]);
+
+    b.get("tags").removeItem("tech");
+    link.flush();
+    expect(a.get("tags").has("tech")).toBe(false);
+  });
+
+  test("delete() runs the delete hooks and takes no set item", () => {
+    const deleted = [];
+    a.middleware.beforeDelete((path) => path !== "locked");
+    a.middleware.afterDelete((path, oldData) => deleted.push(oldData));
+    a.get("tags").add("news");
+    a.get("locked").put(1);
+
+    expect(() => a.get("tags").delete("news")).toThrow(/removeItem/);
+    a.get("locked").delete();
+    a.get("tags").delete();
+
+    expect(a.get("locked").value()).toBe(1);
+    expect(a.get("tags").exists()).toBe(false);
+    expect(deleted).toEqual([["news"]]);
+  });
+});
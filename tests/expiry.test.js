@@ -0,0 +1,74 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("expiry", () => {
+  let a;
+  let b;
+  let link;
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("deletes data once its ttl has passed", async () => {
+    await a.get("presence/alice").put({ online: true }, { ttl: 30 });
+    expect(a.get("presence/alice").value()).toEqual({ online: true });
+
+    await wait(60);
+
+    expect(a.get("presence/alice").value()).toBeUndefined();
+    expect(a.meta["presence/alice"].deleted).toBe(true);
+  });
+
+  test("replicates the expiry to peers", async () => {
+    await a.get("presence/alice").put({ online: true }, { ttl: 30 });
+    link.flush();
+    expect(b.meta["presence/alice"].expiresAt).toBe(
+      a.meta["presence/alice"].expiresAt
+    );
+
+    // b deletes the entry on its own, even without hearing from a
+    link.disconnect(a, b);
+    await wait(60);
+
+    expect(b.get("presence/alice").value()).toBeUndefined();
+  });
+
+  test("a write without ttl removes the expiry", async () => {
+    await a.get("sess/token").put("x", { ttl: 30 });
+    await a.get("sess/token").put("y");
+
+    await wait(60);
+
+    expect(a.get("sess/token").value()).toBe("y");
+  });
+
+  test("rewriting a parent clears the expiry of the leaves it writes", async () => {
+    await a.get("sess/token").put("x", { ttl: 30 });
+    await a.get("sess").put({ token: "y" });
+    link.flush();
+
+    expect(a.meta["sess/token"].expiresAt).toBeUndefined();
+    await wait(60);
+
+    expect(a.get("sess/token").value()).toBe("y");
+    expect(b.get("sess/token").value()).toBe("y");
+  });
+
+  test("expire() sets a ttl on stored data", async () => {
+    await a.get("cache/page").put("<html>");
+    a.get("cache/page").expire(30);
+
+    await wait(60);
+
+    expect(a.get("cache/page").value()).toBeUndefined();
+  });
+});
@@ -0,0 +1,59 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("per-field clocks", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+
+    await a.get("users/alice").put({ name: "Alice", email: "a@example.com" });
+    link.flush();
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("give every leaf of an object write its own clock", () => {
+    expect(a.meta["users/alice/name"].vectorClock).toEqual({ "peer-a": 1 });
+    expect(b.meta["users/alice/email"].vectorClock).toEqual({ "peer-a": 1 });
+  });
+
+  test("keep a field edit made while another peer rewrote the object", () => {
+    a.get("users/alice").put({ name: "Alicia", email: "a@example.com" });
+    b.get("users/alice/email").put("alice@example.com");
+    link.flush();
+
+    expect(a.get("users/alice").value()).toEqual({
+      name: "Alicia",
+      email: b.get("users/alice/email").value(),
+    });
+    expect(b.get("users/alice").value()).toEqual(a.get("users/alice").value());
+    expect(b.get("users/alice/name").value()).toBe("Alicia");
+  });
+
+  test("keep a field that a later concurrent rewrite has not seen", () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(Date.now());
+    b.get("users/alice/age").put(30);
+    now.mockReturnValue(Date.now() + 1000);
+    a.get("users/alice").put({ name: "Alicia" });
+    link.flush();
+
+    const expected = { name: "Alicia", age: 30 };
+    expect(a.get("users/alice").value()).toEqual(expected);
+    expect(b.get("users/alice").value()).toEqual(expected);
+  });
+
+  test("drop a field a rewrite has seen and left out", () => {
+    b.get("users/alice").put({ name: "Alice" });
+    link.flush();
+
+    expect(a.get("users/alice").value()).toEqual({ name: "Alice" });
+  });
+});
@@ -0,0 +1,102 @@
+const WebSocket = require("ws");
+const Bullet = require("../src/bullet");
+
+/**
+ * Create a peer that keeps everything in memory and opens no sockets
+ * @param {string} id - Peer ID
+ * @param {Object} [options] - Extra Bullet options
+ * @return {Bullet} - The peer
+ */
+function createPeer(id, options = {}) {
+  return new Bullet({
+    id,
+    server: false,
+    storage: false,
+    enableSync: false,
+    ...options,
+  });
+}
+
+/**
+ * In-memory link between peers. Messages queue up until flush() delivers
+ * them, so tests decide when peers hear from each other
+ */
+class Link {
+  constructor() {
+    this.queue = [];
+  }
+
+  /**
+   * Connect two peers both ways
+   * @param {Bullet} a - First peer
+   * @param {Bullet} b - Second peer
+   * @return {Link} - This link for chaining
+   */
+  connect(a, b) {
+    this._attach(a, b);
+    this._attach(b, a);
+    return this;
+  }
+
+  /**
+   * Disconnect two peers, dropping messages still queued between them
+   * @param {Bullet} a - First peer
+   * @param {Bullet} b - Second peer
+   */
+  disconnect(a, b) {
+    a.network.peers.delete(b.id);
+    b.network.peers.delete(a.id);
+    this.queue = this.queue.filter(
+      ({ from, to }) =>
+        !((from === a && to === b) || (from === b && to === a))
+    );
+  }
+
+  /**
+   * Deliver queued messages, including those sent while delivering
+   * @return {number} - Number of messages delivered
+   */
+  flush() {
+    let delivered = 0;
+    while (this.queue.length > 0) {
+      const { from, to, message } = this.queue.shift();
+      to.network._handlePeerMessage(from.id, JSON.parse(message));
+      delivered++;
+    }
+    return delivered;
+  }
+
+  /**
+   * Register a fake open socket on one side
+   * @param {Bullet} from - Sending peer
+   * @param {Bullet} to - Receiving peer
+   * @private
+   */
+  _attach(from, to) {
+    const socket = {
+      readyState: WebSocket.OPEN,
+      send: (message) => this.queue.push({ from, to, message }),
+      close: () => {},
+      on: () => {},
+    };
+
+    from.network.peers.set(to.id, {
+      peerId: to.id,
+      socket,
+      outbound: true,
+      connectedAt: Date.now(),
+    });
+    from.network.knownPeers.add(to.id);
+  }
+}
+
+/**
+ * Close peers
+ * @param {...Bullet} peers - Peers to close
+ * @return {Promise<void>}
+ */
+async function closeAll(...peers) {
+  await Promise.all(peers.map((peer) => peer.close()));
+}
+
+module.exports = { createPeer, Link, closeAll };
@@ -0,0 +1,110 @@
+const { createPeer, closeAll } = require("./helpers");
+
+describe("history", () => {
+  let bullet;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await closeAll(bullet);
+    jest.restoreAllMocks();
+  });
+
+  test("keeps no versions unless it is turned on", async () => {
+    bullet = createPeer("peer-a");
+
+    await bullet.get("orders/42").put({ status: "new" });
+    await bullet.get("orders/42/status").put("paid");
+
+    expect(bullet.versions).toEqual({});
+    expect(bullet.get("orders/42").history()).toEqual([]);
+  });
+
+  test("records versions of every path with historyLimit", async () => {
+    bullet = createPeer("peer-a", { historyLimit: 2 });
+
+    await bullet.get("orders/42").put({ status: "new" });
+    await bullet.get("orders/42/status").put("paid");
+    await bullet.get("orders/42/status").put("shipped");
+
+    const history = bullet.get("orders/42").history();
+    expect(history.map((entry) => entry.value)).toEqual([
+      { status: "new" },
+      { status: "paid" },
+      { status: "shipped" },
+    ]);
+    // The limit applies per written path
+    expect(bullet.versions["orders/42/status"]).toHaveLength(2);
+  });
+
+  test("retainHistory() turns history on for a subtree only", async () => {
+    bullet = createPeer("peer-a");
+    bullet.retainHistory("orders", { limit: 5 });
+
+    await bullet.get("orders/42").put({ status: "new" });
+    await bullet.get("carts/7").put({ items: 1 });
+
+    expect(Object.keys(bullet.versions)).toEqual(["orders/42"]);
+  });
+
+  test("revert() writes an earlier version again", async () => {
+    bullet = createPeer("peer-a", { historyLimit: 10 });
+    const order = bullet.get("orders/42");
+
+    await order.put({ status: "new" });
+    await order.put({ status: "cancelled" });
+    await order.revert(order.history()[0].version);
+
+    expect(order.value()).toEqual({ status: "new" });
+    expect(order.history()).toHaveLength(3);
+  });
+
+  test("leaves out values that dropped versions no longer show whole", async () => {
+    bullet = createPeer("peer-a", { historyLimit: 1 });
+    const alice = bullet.get("users/alice");
+
+    await alice.put({ name: "Alice", age: 1 });
+    await alice.get("age").put(2);
+    await alice.put({ name: "Alicia", age: 2 });
+
+    // The first write of alice is gone, so alice after the second one is
+    // unknown
+    const [age] = bullet.versions["users/alice/age"];
+    expect(bullet.history.valueAt("users/alice", age.version)).toBeUndefined();
+    expect(alice.history().map((entry) => entry.value)).toEqual([
+      { name: "Alicia", age: 2 },
+    ]);
+    expect(bullet.versions["users/alice"][0].trimmed).toBe(true);
+  });
+
+  test("rebuilds a node once the dropped part is written again", async () => {
+    bullet = createPeer("peer-a", { historyLimit: 1 });
+    const alice = bullet.get("users/alice");
+
+    await alice.put({ name: "Alice" });
+    await alice.get("age").put(1);
+    await alice.get("age").put(2);
+
+    expect(alice.history().map((entry) => entry.value)).toEqual([
+      { name: "Alice", age: 2 },
+    ]);
+    expect(alice.at(Date.now())).toEqual({ name: "Alice", age: 2 });
+  });
+
+  test("prunes versions older than maxAge without new writes", async () => {
+    jest.useFakeTimers();
+    bullet = createPeer("peer-a", { historyLimit: 10, historyMaxAge: 1000 });
+
+    bullet.get("orders/42").put({ status: "new" });
+    bullet.get("orders/42").put({ status: "paid" });
+    bullet.get("carts/7").put({ items: 1 });
+    jest.advanceTimersByTime(2500);
+
+    expect(bullet.versions["orders/42"]).toHaveLength(2);
+    expect(bullet.versions["orders/42"][0].trimmed).toBe(true);
+    expect(bullet.versions["carts/7"]).toHaveLength(1);
+  });
+});
@@ -0,0 +1,68 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("hybrid logical clocks", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("keep stamps increasing when the wall clock goes back", () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(2000);
+    const first = a.crt.tickHLC();
+    now.mockReturnValue(1000);
+    const second = a.crt.tickHLC();
+
+    expect(second).toEqual({ wallTime: 2000, logical: 1, peerId: "peer-a" });
+    expect(a.crt.compareHLC(second, first)).toBe(1);
+  });
+
+  test("stamp local events after a received stamp from a faster clock", () => {
+    const remote = { wallTime: Date.now() + 60000, logical: 3 };
+    a.crt.receiveHLC(remote);
+
+    expect(a.crt.compareHLC(a.crt.tickHLC(), remote)).toBe(1);
+  });
+
+  test("read the time without advancing the clock", () => {
+    const remote = { wallTime: Date.now() + 60000, logical: 3 };
+    a.crt.receiveHLC(remote);
+    const hlc = { ...a.crt.hlc };
+
+    expect(a.crt.now()).toBe(remote.wallTime);
+    expect(a.crt.now()).toBe(remote.wallTime);
+    expect(a.crt.hlc).toEqual(hlc);
+  });
+
+  test("let the later of two concurrent writes win on both peers", () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+    a.get("title").put("From A");
+    now.mockReturnValue(2000);
+    b.get("title").put("From B");
+    link.flush();
+
+    expect(a.get("title").value()).toBe("From B");
+    expect(b.get("title").value()).toBe("From B");
+    expect(a.meta.title.hlc).toEqual(b.meta.title.hlc);
+  });
+
+  test("break exact ties by peer ID", () => {
+    jest.spyOn(Date, "now").mockReturnValue(1000);
+    b.get("title").put("From B");
+    a.get("title").put("From A");
+    link.flush();
+
+    expect(a.get("title").value()).toBe("From B");
+    expect(b.get("title").value()).toBe("From B");
+  });
+});
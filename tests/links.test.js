@@ -0,0 +1,70 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("links", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+
+    await a.get("users/alice").put({ name: "Alice", age: 30 });
+    await a
+      .get("posts/1")
+      .put({ title: "Hello", author: a.get("users/alice") });
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("store a link instead of a copy", () => {
+    expect(a.get("posts/1").value()).toEqual({
+      title: "Hello",
+      author: { "#": "users/alice" },
+    });
+    expect(a.get("posts/1/author").link()).toBe("users/alice");
+    expect(a.get("posts/1/title").link()).toBeNull();
+  });
+
+  test("follow links in paths", async () => {
+    expect(a.get("posts/1").get("author").get("name").value()).toBe("Alice");
+
+    await a.get("users/alice/age").put(31);
+    expect(a.get("posts/1/author/age").value()).toBe(31);
+  });
+
+  test("resolve links up to a depth", async () => {
+    await a.get("users/alice/friend").put(a.get("users/bob"));
+    await a.get("users/bob").put({ name: "Bob" });
+
+    expect(a.get("posts/1").value({ depth: 1 })).toEqual({
+      title: "Hello",
+      author: { name: "Alice", age: 30, friend: { "#": "users/bob" } },
+    });
+    expect(a.get("posts/1").value({ depth: 2 }).author.friend).toEqual({
+      name: "Bob",
+    });
+  });
+
+  test("leave a cycle as a link", async () => {
+    await a.get("users/alice/self").put(a.get("users/alice"));
+
+    expect(a.get("users/alice").value({ depth: 5 })).toEqual({
+      name: "Alice",
+      age: 30,
+      self: { "#": "users/alice" },
+    });
+  });
+
+  test("sync as links", () => {
+    link.flush();
+
+    expect(b.get("posts/1/author").link()).toBe("users/alice");
+    expect(b.get("posts/1/author/name").value()).toBe("Alice");
+  });
+});
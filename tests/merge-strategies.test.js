@@ -0,0 +1,95 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("merge strategies", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Register the same strategy on both peers
+   * @param {string} pattern - Path pattern
+   * @param {Function|string} merge - Merge function or strategy name
+   */
+  function strategy(pattern, merge) {
+    a.crt.strategy(pattern, merge);
+    b.crt.strategy(pattern, merge);
+  }
+
+  test("keep the highest of concurrent writes with max", () => {
+    strategy("scores/*", "max");
+    a.get("scores/bob").put(10);
+    b.get("scores/bob").put(7);
+    link.flush();
+
+    expect(a.get("scores/bob").value()).toBe(10);
+    expect(b.get("scores/bob").value()).toBe(10);
+  });
+
+  test("keep the items added on either side with union", () => {
+    strategy("posts/*/tags", "union");
+    a.get("posts/1/tags").put(["news"]);
+    link.flush();
+
+    a.get("posts/1/tags").put(["news", "tech"]);
+    b.get("posts/1/tags").put(["news", "local"]);
+    link.flush();
+
+    const tags = a.get("posts/1/tags").value();
+    expect([...tags].sort()).toEqual(["local", "news", "tech"]);
+    expect(b.get("posts/1/tags").value()).toEqual(tags);
+  });
+
+  test("pass both values and the clocks to a custom strategy", () => {
+    const calls = [];
+    strategy("carts/*", function mergeCarts(incoming, current, context) {
+      calls.push(context);
+      const items = [...new Set([...current.items, ...incoming.items])];
+      return { items: items.sort() };
+    });
+
+    a.get("carts/1").put({ items: ["apple"] });
+    b.get("carts/1").put({ items: ["pear"] });
+    link.flush();
+
+    expect(a.get("carts/1").value()).toEqual({ items: ["apple", "pear"] });
+    expect(b.get("carts/1").value()).toEqual({ items: ["apple", "pear"] });
+    expect(calls[0]).toMatchObject({
+      path: "carts/1",
+      incomingClock: expect.any(Object),
+      currentClock: expect.any(Object),
+    });
+  });
+
+  test("leave causally ordered writes unmerged", () => {
+    strategy("scores/*", "max");
+    a.get("scores/bob").put(10);
+    link.flush();
+    b.get("scores/bob").put(3);
+    link.flush();
+
+    expect(a.get("scores/bob").value()).toBe(3);
+  });
+
+  test("use the first matching pattern until it is removed", () => {
+    a.crt.strategy("scores/**", "min").strategy("scores/*", "max");
+    expect(a.crt.getStrategy("scores/bob").name).toBe("min");
+
+    a.crt.removeStrategy("scores/**");
+    expect(a.crt.getStrategy("scores/bob").name).toBe("max");
+    expect(() => a.crt.strategy("scores/*", "average")).toThrow(
+      "Unknown merge strategy: average"
+    );
+  });
+});
@@ -0,0 +1,108 @@
+const { createPeer, closeAll } = require("./helpers");
+
+describe("pattern listeners", () => {
+  let bullet;
+  let calls;
+  const record = (value, { path, params }) =>
+    calls.push({ path, params, value });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    bullet = createPeer("peer-a");
+    calls = [];
+  });
+
+  afterEach(async () => {
+    await closeAll(bullet);
+    jest.restoreAllMocks();
+  });
+
+  test("match writes to the pattern's paths with their params", () => {
+    bullet.on("users/:id/status", record);
+    bullet.get("users/alice/status").put("online");
+
+    expect(calls).toEqual([
+      { path: "users/alice/status", params: { id: "alice" }, value: "online" },
+    ]);
+  });
+
+  test("match inside a written value", () => {
+    bullet.on("users/:id/status", record);
+    bullet.get("users").put({
+      alice: { status: "online" },
+      bob: { status: "away" },
+    });
+
+    expect(calls).toEqual([
+      { path: "users/alice/status", params: { id: "alice" }, value: "online" },
+      { path: "users/bob/status", params: { id: "bob" }, value: "away" },
+    ]);
+  });
+
+  test("report null when an ancestor is removed", () => {
+    bullet.get("users").put({ alice: { status: "online" } });
+    bullet.on("users/:id/status", record);
+
+    bullet.get("users").remove();
+
+    expect(calls).toEqual([
+      { path: "users/alice/status", params: { id: "alice" }, value: null },
+    ]);
+  });
+
+  test("report null for keys an overwrite drops", () => {
+    bullet.get("users").put({
+      alice: { status: "online" },
+      bob: { status: "away" },
+    });
+    bullet.on("users/:id/status", record);
+
+    bullet.get("users").put({ alice: { status: "busy" } });
+
+    expect(calls).toEqual(
+      expect.arrayContaining([
+        { path: "users/alice/status", params: { id: "alice" }, value: "busy" },
+        { path: "users/bob/status", params: { id: "bob" }, value: null },
+      ])
+    );
+    expect(calls).toHaveLength(2);
+  });
+
+  test("expand ** at any depth inside a written value", () => {
+    bullet.on("root/**/leaf", record);
+
+    bullet.get("root/z").put({ q: { leaf: 1 }, leaf: 2 });
+
+    expect(calls.map(({ path, value }) => [path, value])).toEqual(
+      expect.arrayContaining([
+        ["root/z/q/leaf", 1],
+        ["root/z/leaf", 2],
+      ])
+    );
+    expect(calls).toHaveLength(2);
+  });
+
+  test("expand ** inside a removed value", () => {
+    bullet.get("root").put({ z: { q: { leaf: 1 } } });
+    bullet.on("root/**/leaf", record);
+
+    bullet.get("root/z").remove();
+
+    expect(calls.map(({ path, value }) => [path, value])).toEqual([
+      ["root/z/q/leaf", null],
+    ]);
+  });
+
+  test("match ancestors of the written path", () => {
+    bullet.on("users/:id", record);
+    bullet.get("users/alice/status").put("online");
+
+    expect(calls).toEqual([
+      {
+        path: "users/alice",
+        params: { id: "alice" },
+        value: { status: "online" },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+const { createPeer, closeAll } = require("./helpers");
+
+describe("reads", () => {
+  let bullet;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    bullet = createPeer("peer-a", { enableSerializer: true });
+  });
+
+  afterEach(async () => {
+    await closeAll(bullet);
+    jest.restoreAllMocks();
+  });
+
+  test("leave missing paths missing", () => {
+    expect(bullet.get("users/alice/name").value()).toBeUndefined();
+    expect(bullet.get("users/alice").exists()).toBe(false);
+    expect(bullet.store).toEqual({});
+  });
+
+  test("stop at values that are not objects", async () => {
+    await bullet.get("users/alice").put("Alice");
+
+    expect(bullet.get("users/alice/name").value()).toBeUndefined();
+    expect(bullet.get("users/alice").value()).toBe("Alice");
+  });
+
+  test("describe the children of a node", async () => {
+    await bullet.get("users").put({ alice: { age: 30 }, bob: { age: 25 } });
+
+    expect(bullet.get("users").exists()).toBe(true);
+    expect(bullet.get("users").keys()).toEqual(["alice", "bob"]);
+    expect(bullet.get("users").size()).toBe(2);
+    expect(bullet.get("users/alice/age").keys()).toEqual([]);
+    expect(bullet.get("groups").size()).toBe(0);
+  });
+
+  test("export a missing path as empty data", () => {
+    expect(JSON.parse(bullet.exportToJSON("users"))).toMatchObject({
+      data: null,
+      path: "users",
+    });
+    expect(bullet.serializer.exportToCSV("users")).toBe("");
+    expect(bullet.store).toEqual({});
+  });
+});
@@ -0,0 +1,101 @@
+const BulletMemoryStorage = require("../src/bullet-memory-storage");
+const { createPeer, closeAll } = require("./helpers");
+
+describe("snapshots", () => {
+  let bullet;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    bullet = createPeer("peer-a");
+  });
+
+  afterEach(async () => {
+    await closeAll(bullet);
+    jest.restoreAllMocks();
+  });
+
+  test("returns a frozen copy and leaves the store unfrozen", async () => {
+    await bullet.get("users/alice").put({ name: "Alice", tags: ["admin"] });
+
+    const snapshot = bullet.snapshot();
+
+    expect(snapshot).toEqual({
+      users: { alice: { name: "Alice", tags: ["admin"] } },
+    });
+    expect(Object.isFrozen(snapshot.users.alice)).toBe(true);
+    expect(Object.isFrozen(snapshot.users.alice.tags)).toBe(true);
+    expect(Object.isFrozen(bullet.store)).toBe(false);
+    expect(Object.isFrozen(bullet.get("users/alice").value())).toBe(false);
+  });
+
+  test("is not changed by later writes", async () => {
+    await bullet.get("users/alice/name").put("Alice");
+    await bullet.get("users/bob/name").put("Bob");
+    const snapshot = bullet.snapshot();
+
+    await bullet.get("users/alice/name").put("Alicia");
+    await bullet.get("users/bob").remove();
+
+    expect(snapshot.users.alice.name).toBe("Alice");
+    expect(snapshot.users.bob.name).toBe("Bob");
+    expect(bullet.snapshot().users).toEqual({ alice: { name: "Alicia" } });
+  });
+
+  test("shares what was not written since the previous snapshot", async () => {
+    await bullet.get("users/alice/name").put("Alice");
+    await bullet.get("orders/42/status").put("new");
+    const first = bullet.snapshot();
+
+    expect(bullet.snapshot()).toBe(first);
+
+    await bullet.get("orders/42/status").put("paid");
+    const second = bullet.snapshot();
+
+    expect(second).not.toBe(first);
+    expect(second.users).toBe(first.users);
+    expect(second.orders["42"].status).toBe("paid");
+    expect(first.orders["42"].status).toBe("new");
+  });
+
+  test("saving to storage does not freeze the store", async () => {
+    await closeAll(bullet);
+    bullet = createPeer("peer-a", {
+      storage: true,
+      storageType: BulletMemoryStorage,
+    });
+
+    // put() resolves once the write is saved
+    await bullet.get("users/alice").put({ name: "Alice" });
+    expect(bullet.storage._hasChanges()).toBe(false);
+
+    expect(Object.isFrozen(bullet.store.users.alice)).toBe(false);
+
+    await bullet.get("users/alice/age").put(30);
+    expect(bullet.storage.persisted.store.users.alice).toEqual({
+      name: "Alice",
+      age: 30,
+    });
+    expect(bullet.storage._hasChanges()).toBe(false);
+  });
+
+  test("saving picks up changes that only touch meta", async () => {
+    await closeAll(bullet);
+    bullet = createPeer("peer-a", {
+      storage: true,
+      storageType: BulletMemoryStorage,
+    });
+    await bullet.get("users/alice").put({ name: "Alice" });
+    bullet.get("users/alice").remove();
+    await bullet.storage._saveData();
+    expect(bullet.storage.persisted.meta["users/alice"].deleted).toBe(true);
+
+    bullet.crt.acknowledgeTombstone("users/alice", "peer-b");
+    expect(bullet.storage._hasChanges()).toBe(true);
+
+    await bullet.storage._saveData();
+    expect(bullet.storage.persisted.meta["users/alice"].acks).toEqual({
+      "peer-b": true,
+    });
+    expect(bullet.storage._hasChanges()).toBe(false);
+  });
+});
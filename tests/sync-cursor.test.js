@@ -0,0 +1,118 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("sync cursors", () => {
+  let dir;
+  let peers;
+
+  const createFilePeer = (id) =>
+    createPeer(id, { enableSync: true, storage: true, storagePath: dir });
+
+  /**
+   * Sync one peer from another over a fresh link
+   * @param {Bullet} a - Peer requesting the sync
+   * @param {Bullet} b - Peer sending its data
+   * @return {number} - The since the request was sent with
+   */
+  const syncFrom = (a, b) => {
+    const link = new Link().connect(a, b);
+    a.network.sync.requestSync(b.id);
+    const { message } = link.queue[0];
+    link.flush();
+    link.disconnect(a, b);
+    return JSON.parse(message).since;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bullet-sync-"));
+    peers = [];
+  });
+
+  afterEach(async () => {
+    await closeAll(...peers);
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test("a restarted node resumes from the cursor of its last sync", async () => {
+    const b = createPeer("peer-b", { enableSync: true });
+    let a = createFilePeer("peer-a");
+    peers.push(b);
+
+    b.get("users/alice").put({ name: "Alice" });
+    expect(syncFrom(a, b)).toBe(0);
+    const cursor = a.network.sync.getSyncCursors()["peer-b"];
+    expect(cursor).toBeGreaterThan(0);
+    await a.close();
+
+    a = createFilePeer("peer-a");
+    peers.push(a);
+
+    expect(a.get("users/alice").value()).toEqual({ name: "Alice" });
+    expect(syncFrom(a, b)).toBe(cursor);
+  });
+
+  test("cursors are ignored when the data they describe is gone", async () => {
+    const b = createPeer("peer-b", { enableSync: true });
+    let a = createFilePeer("peer-a");
+    peers.push(b);
+
+    b.get("users/alice").put({ name: "Alice" });
+    syncFrom(a, b);
+    await a.close();
+    fs.unlinkSync(path.join(dir, "store.json"));
+
+    a = createFilePeer("peer-a");
+    peers.push(a);
+
+    expect(syncFrom(a, b)).toBe(0);
+  });
+
+  test("an explicit id leaves the persisted identity alone", async () => {
+    const storage = { storage: true, storagePath: dir };
+    let a = createPeer(undefined, storage);
+    const generated = a.id;
+    await a.close();
+
+    a = createPeer("edge-eu-1", storage);
+    expect(a.id).toBe("edge-eu-1");
+    await a.close();
+
+    a = createPeer(undefined, storage);
+    peers.push(a);
+    expect(a.id).toBe(generated);
+  });
+
+  test("identity and cursors are encrypted with the data", async () => {
+    const storage = {
+      enableSync: true,
+      storage: true,
+      storagePath: dir,
+      encrypt: true,
+      encryptionKey: "secret",
+    };
+    const b = createPeer("peer-b", { enableSync: true });
+    let a = createPeer(undefined, storage);
+    const id = a.id;
+    peers.push(b);
+
+    b.get("users/alice").put({ name: "Alice" });
+    syncFrom(a, b);
+    const cursor = a.network.sync.getSyncCursors()["peer-b"];
+    await a.close();
+
+    for (const file of ["identity.json", "sync.json"]) {
+      const raw = fs.readFileSync(path.join(dir, file), "utf8");
+      expect(raw).not.toContain(id);
+      expect(raw).not.toContain("peer-b");
+    }
+
+    a = createPeer(undefined, storage);
+    peers.push(a);
+    expect(a.id).toBe(id);
+    expect(syncFrom(a, b)).toBe(cursor);
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("tombstones", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("a delete leaves a tombstone until peers acknowledge it", () => {
+    a.get("x/a").put("one");
+    a.get("x/a").remove();
+
+    expect(a.meta["x/a"].deleted).toBe(true);
+    expect(a.crt.tombstones.has("x/a")).toBe(true);
+
+    link.flush();
+
+    expect(b.get("x/a").value()).toBeUndefined();
+    expect(a.crt.tombstones.has("x/a")).toBe(false);
+  });
+
+  test("every peer collects the tombstone", () => {
+    const collected = [];
+    a.on("tombstone:collected", ({ path }) => collected.push(["a", path]));
+    b.on("tombstone:collected", ({ path }) => collected.push(["b", path]));
+
+    a.get("x/a").put("one");
+    a.get("x/a").remove();
+    link.flush();
+
+    expect(collected).toEqual(
+      expect.arrayContaining([
+        ["a", "x/a"],
+        ["b", "x/a"],
+      ])
+    );
+    expect(a.crt.tombstones.size).toBe(0);
+    expect(b.crt.tombstones.size).toBe(0);
+  });
+
+  test("writes after collection win over the collected delete", () => {
+    a.get("x/a").put("one");
+    a.get("x/a").remove();
+    link.flush();
+
+    a.get("x/a").put("two");
+    link.flush();
+
+    expect(a.get("x/a").value()).toBe("two");
+    expect(b.get("x/a").value()).toBe("two");
+  });
+
+  test("a write after collection reaches a peer still holding the tombstone", () => {
+    const c = createPeer("peer-c");
+    link.connect(a, c);
+    // c also knows a peer that never acknowledges, so it keeps tombstones
+    c.network.knownPeers.add("peer-d");
+
+    a.get("x/a").put("one");
+    link.flush();
+
+    // c hears about the delete, but its acknowledgement is lost
+    a.get("x/a").remove();
+    const queued = link.queue.filter(({ to }) => to === c);
+    link.queue = link.queue.filter(({ to }) => to !== c);
+    link.flush();
+    queued.forEach(({ message }) =>
+      c.network._handlePeerMessage(a.id, JSON.parse(message))
+    );
+    expect(c.crt.tombstones.has("x/a")).toBe(true);
+
+    a.crt.acknowledgeTombstone("x/a", c.id);
+    expect(a.crt.tombstones.has("x/a")).toBe(false);
+
+    a.get("x/a").put("two");
+    link.flush();
+
+    expect(c.get("x/a").value()).toBe("two");
+    return c.close();
+  });
+
+  test("collection drops the tombstone from meta on every peer", () => {
+    a.get("x").put({ a: "one", b: "two" });
+    a.get("x/a").remove();
+    link.flush();
+
+    expect(a.meta["x/a"]).toBeUndefined();
+    expect(b.meta["x/a"]).toBeUndefined();
+    expect(a.crt.getSubtreeClock("x", a.get("x").value())).toEqual(
+      a.meta["x/b"].vectorClock
+    );
+  });
+
+  test("rewriting an ancestor after collection recreates the path", () => {
+    a.get("x/a").put("one");
+    a.get("x/a").remove();
+    link.flush();
+
+    a.get("x").put({ a: "three" });
+    link.flush();
+
+    expect(a.crt.tombstones.size).toBe(0);
+    expect(b.get("x/a").value()).toBe("three");
+  });
+
+  test("finds tombstones below a path without scanning meta", () => {
+    a.get("x").put({ a: { b: 1 }, c: 2 });
+    a.get("y").put(3);
+    const keys = jest.spyOn(Object, "keys");
+    const entries = jest.spyOn(Object, "entries");
+
+    a.get("x/a").remove();
+
+    expect(a.crt.tombstones).toEqual(new Set(["x/a", "x/a/b"]));
+    const scannedMeta = [...keys.mock.calls, ...entries.mock.calls].some(
+      ([object]) => object === a.meta
+    );
+    expect(scannedMeta).toBe(false);
+  });
+
+  test("a restarted node still waits for peers from earlier runs", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bullet-peers-"));
+    const options = { storage: true, storagePath: dir };
+    let c = createPeer("peer-c", options);
+    link.connect(a, c);
+    await c.close();
+
+    c = createPeer("peer-c", options);
+    c.get("x/a").put("one");
+    c.get("x/a").remove();
+    expect(c.network.knownPeers).toEqual(new Set(["peer-a"]));
+    expect(c.crt.collectTombstones()).toBe(0);
+
+    await c.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
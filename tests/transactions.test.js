@@ -0,0 +1,164 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("transactions", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b", { enableValidation: true });
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("apply every write and notify once", () => {
+    const calls = [];
+    a.get("accounts").on((value) => calls.push(value));
+    calls.length = 0;
+
+    a.transaction((tx) => {
+      tx.get("accounts/alice").put(50);
+      tx.get("accounts/bob").put(150);
+    });
+
+    expect(a.get("accounts").value()).toEqual({ alice: 50, bob: 150 });
+    expect(calls).toEqual([{ alice: 50, bob: 150 }]);
+  });
+
+  test("write nothing if a write is rejected", () => {
+    a.beforePut((path) => (path === "accounts/bob" ? false : undefined));
+
+    expect(() =>
+      a.transaction((tx) => {
+        tx.get("accounts/alice").put(50);
+        tx.get("accounts/bob").put(150);
+      })
+    ).toThrow(/accounts\/bob/);
+    expect(a.get("accounts").value()).toBeUndefined();
+    expect(link.queue).toHaveLength(0);
+  });
+
+  test("reach peers as a whole", () => {
+    a.transaction((tx) => {
+      tx.get("accounts/alice").put(50);
+      tx.get("accounts/bob").remove();
+    });
+    link.flush();
+
+    expect(b.get("accounts").value()).toEqual({ alice: 50 });
+  });
+
+  test("are rejected whole by a peer's validation", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    b.defineSchema("profile", {
+      type: "object",
+      properties: { age: { type: "integer" } },
+    });
+    b.applySchema("profile", "profile");
+
+    a.transaction((tx) => {
+      tx.get("visits").put(1);
+      tx.get("profile").put({ age: "old" });
+    });
+    link.flush();
+
+    expect(b.get("visits").value()).toBeUndefined();
+    expect(b.get("profile").value()).toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Rejected transaction from peer-a")
+    );
+  });
+
+  test("are rejected whole by a peer's middleware", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    b.beforePut((path) => (path === "blocked" ? false : undefined));
+
+    a.transaction((tx) => {
+      tx.get("allowed").put(1);
+      tx.get("blocked").put(2);
+    });
+    link.flush();
+
+    expect(b.get("allowed").value()).toBeUndefined();
+    expect(b.get("blocked").value()).toBeUndefined();
+  });
+
+  test("undo applied writes if a later write fails", async () => {
+    a.retainHistory("accounts", { limit: 5 });
+    await a.get("accounts/alice").put(10);
+    const calls = [];
+    a.get("accounts").on((value) => calls.push(value));
+    calls.length = 0;
+    link.queue.length = 0;
+    const versions = a.versions["accounts/alice"].length;
+
+    const handleUpdate = a.crt.handleUpdate.bind(a.crt);
+    jest.spyOn(a.crt, "handleUpdate").mockImplementation((path, ...args) => {
+      if (path === "accounts/bob") throw new Error("Merge failed");
+      return handleUpdate(path, ...args);
+    });
+
+    expect(() =>
+      a.transaction((tx) => {
+        tx.get("accounts/alice").put(50);
+        tx.get("accounts/carol").put({ limit: 5 });
+        tx.get("accounts/bob").put(150);
+      })
+    ).toThrow("Merge failed");
+
+    expect(a.get("accounts").value()).toEqual({ alice: 10 });
+    expect(a.meta["accounts/carol"]).toBeUndefined();
+    expect(a.meta["accounts/carol/limit"]).toBeUndefined();
+    expect(a.versions["accounts/alice"]).toHaveLength(versions);
+    expect(calls).toEqual([]);
+    expect(link.queue).toHaveLength(0);
+  });
+
+  test("read staged writes to ancestors and descendants", () => {
+    a.get("profile").put({ name: "Alice", age: 30 });
+
+    a.transaction((tx) => {
+      tx.get("profile/age").put(31);
+      expect(tx.get("profile").value()).toEqual({ name: "Alice", age: 31 });
+
+      tx.get("profile").put({ name: "Bob" });
+      expect(tx.get("profile/name").value()).toBe("Bob");
+      expect(tx.get("profile/age").value()).toBeUndefined();
+
+      tx.get("profile/city").put("Oslo");
+      tx.get("profile/name").remove();
+      expect(tx.get("profile").value()).toEqual({ city: "Oslo" });
+    });
+  });
+
+  test("are not relayed by a peer that rejects them", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const c = createPeer("peer-c");
+    link.connect(b, c);
+    b.beforePut((path) => (path === "blocked" ? false : undefined));
+
+    try {
+      a.transaction((tx) => {
+        tx.get("allowed").put(1);
+        tx.get("blocked").put(2);
+      });
+      link.flush();
+
+      expect(c.get("allowed").value()).toBeUndefined();
+
+      a.transaction((tx) => tx.get("allowed").put(3));
+      link.flush();
+
+      expect(c.get("allowed").value()).toBe(3);
+    } finally {
+      c.close();
+    }
+  });
+});
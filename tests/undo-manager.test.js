@@ -0,0 +1,163 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("undo manager", () => {
+  let a;
+  let b;
+  let link;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+    link = new Link().connect(a, b);
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("undoes and redoes local edits", () => {
+    const undo = a.undoManager({ scope: "doc" });
+
+    a.get("doc/title").put("Draft");
+    undo.stopCapturing();
+    a.get("doc/title").put("Final");
+
+    expect(undo.undo()).toBe(true);
+    expect(a.get("doc/title").value()).toBe("Draft");
+
+    expect(undo.redo()).toBe(true);
+    expect(a.get("doc/title").value()).toBe("Final");
+    undo.destroy();
+  });
+
+  test("leaves changes from peers alone", () => {
+    const undo = a.undoManager({ scope: "doc" });
+
+    a.get("doc/title").put("Draft");
+    link.flush();
+    b.get("doc/body").put("Hello");
+    link.flush();
+
+    undo.undo();
+    link.flush();
+
+    expect(a.get("doc/title").value()).toBeUndefined();
+    expect(a.get("doc/body").value()).toBe("Hello");
+    expect(b.get("doc/body").value()).toBe("Hello");
+    undo.destroy();
+  });
+
+  test("undoes text edits without dropping concurrent edits", () => {
+    a.get("doc/body").insertText(0, "Hello");
+    link.flush();
+
+    const undo = a.undoManager({ scope: "doc" });
+    a.get("doc/body").insertText(5, " world");
+    b.get("doc/body").insertText(0, ">");
+    link.flush();
+
+    undo.undo();
+    link.flush();
+
+    expect(a.get("doc/body").value()).toBe(">Hello");
+    expect(b.get("doc/body").value()).toBe(">Hello");
+    expect(a.crdt.getState("doc/body", "text")).not.toBeNull();
+    expect(b.crdt.getState("doc/body", "text")).not.toBeNull();
+
+    undo.redo();
+    link.flush();
+
+    expect(a.get("doc/body").value()).toBe(">Hello world");
+    expect(b.get("doc/body").value()).toBe(">Hello world");
+
+    b.get("doc/body").insertText(12, "!");
+    link.flush();
+    expect(a.get("doc/body").value()).toBe(">Hello world!");
+    undo.destroy();
+  });
+
+  test("puts deleted text back in place", () => {
+    a.get("doc/body").insertText(0, "abcdef");
+    link.flush();
+
+    const undo = a.undoManager({ scope: "doc" });
+    a.get("doc/body").deleteText(1, 3);
+    link.flush();
+    expect(b.get("doc/body").value()).toBe("aef");
+
+    undo.undo();
+    link.flush();
+    expect(a.get("doc/body").value()).toBe("abcdef");
+    expect(b.get("doc/body").value()).toBe("abcdef");
+
+    undo.redo();
+    link.flush();
+    expect(b.get("doc/body").value()).toBe("aef");
+
+    undo.undo();
+    link.flush();
+    expect(b.get("doc/body").value()).toBe("abcdef");
+    undo.destroy();
+  });
+
+  test("undoes list edits with list operations", () => {
+    a.get("doc/items").insertAt(0, "x");
+    link.flush();
+
+    const undo = a.undoManager({ scope: "doc" });
+    a.get("doc/items").insertAt(1, "y");
+    a.get("doc/items").removeAt(0);
+    b.get("doc/items").insertAt(0, "w");
+    link.flush();
+    expect(a.get("doc/items").value()).toEqual(["w", "y"]);
+
+    undo.undo();
+    link.flush();
+
+    expect(a.get("doc/items").value()).toEqual(["w", "x"]);
+    expect(b.get("doc/items").value()).toEqual(["w", "x"]);
+    undo.destroy();
+  });
+
+  test("undoes counter changes without losing peer increments", () => {
+    a.get("doc/views").increment(1);
+    link.flush();
+
+    const undo = a.undoManager({ scope: "doc" });
+    a.get("doc/views").increment(5);
+    b.get("doc/views").increment(2);
+    link.flush();
+    expect(a.get("doc/views").value()).toBe(8);
+
+    undo.undo();
+    link.flush();
+
+    expect(a.get("doc/views").value()).toBe(3);
+    expect(b.get("doc/views").value()).toBe(3);
+
+    undo.redo();
+    link.flush();
+    expect(b.get("doc/views").value()).toBe(8);
+    undo.destroy();
+  });
+
+  test("undoes set changes with set operations", () => {
+    a.get("doc/tags").add("red");
+    link.flush();
+
+    const undo = a.undoManager({ scope: "doc" });
+    a.get("doc/tags").add("blue");
+    a.get("doc/tags").removeItem("red");
+    b.get("doc/tags").add("green");
+    link.flush();
+
+    undo.undo();
+    link.flush();
+
+    expect(a.get("doc/tags").value()).toEqual(["green", "red"]);
+    expect(b.get("doc/tags").value()).toEqual(["green", "red"]);
+    undo.destroy();
+  });
+});
@@ -0,0 +1,96 @@
+const { createPeer, Link, closeAll } = require("./helpers");
+
+describe("writes", () => {
+  let a;
+  let b;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    a = createPeer("peer-a");
+    b = createPeer("peer-b");
+  });
+
+  afterEach(async () => {
+    await closeAll(a, b);
+    jest.restoreAllMocks();
+  });
+
+  test("put() applies the write at once and can be chained", () => {
+    const node = a.get("users/alice").put({ name: "Alice" });
+
+    expect(node.path).toBe("users/alice");
+    expect(node.get("name").put("Alicia").value()).toBe("Alicia");
+    expect(a.get("users/alice").value()).toEqual({ name: "Alicia" });
+  });
+
+  test("put() rejects silently unless it is awaited", async () => {
+    const error = jest.spyOn(console, "error");
+    a.beforePut(() => false);
+
+    a.get("users/alice").put({ name: "Alice" });
+    await expect(a.get("users/alice").put("x")).rejects.toThrow(
+      /cancelled by middleware/
+    );
+
+    expect(error).not.toHaveBeenCalled();
+    expect(a.get("users/alice").value()).toBeUndefined();
+  });
+
+  test("put() resolves with the applied write", async () => {
+    const result = await a.get("users/alice").put({ name: "Alice" });
+
+    expect(result).toEqual({
+      path: "users/alice",
+      value: { name: "Alice" },
+      acks: [],
+      applied: true,
+    });
+  });
+
+  test("put() resolves without applying when the stored value wins", async () => {
+    a.get("users/alice").put("Alice");
+    jest
+      .spyOn(a.crt, "handleUpdate")
+      .mockReturnValue({ doUpdate: false, value: "Alice" });
+
+    const result = await a.get("users/alice").put("Mallory");
+
+    expect(result.applied).toBe(false);
+    expect(result.value).toBe("Alice");
+  });
+
+  test("put() waits for peers to acknowledge", async () => {
+    const link = new Link().connect(a, b);
+
+    const write = a.get("users/alice").put("Alice", { acks: 1 });
+    link.flush();
+
+    expect((await write).acks).toEqual(["peer-b"]);
+    expect(b.get("users/alice").value()).toBe("Alice");
+  });
+
+  test("changes() counts the changes a slow consumer missed", async () => {
+    const changes = a.get("count").changes({ bufferSize: 2 });
+    const first = changes.next();
+
+    a.get("count").put(1);
+    for (let i = 2; i <= 5; i++) a.get("count").put(i);
+
+    expect((await first).value).toBe(1);
+    expect((await changes.next()).value).toBe(4);
+    expect(changes.dropped).toBe(2);
+    await changes.return();
+  });
+
+  test("changes() throws on overflow when asked to", async () => {
+    const changes = a
+      .get("count")
+      .changes({ bufferSize: 1, overflow: "error" });
+    const first = changes.next();
+
+    for (let i = 1; i <= 3; i++) a.get("count").put(i);
+
+    expect((await first).value).toBe(1);
+    await expect(changes.next()).rejects.toThrow(/More than 1 changes/);
+  });
+});